@@ -0,0 +1,1523 @@
+/**
+ * SPACE INVADERS — LANDING PAGE
+ * canvas-core.js — Background canvas, shared by the page and the worker
+ *
+ * Loaded by index.html before script.js, and by canvas-worker.js through
+ * importScripts(), so nothing in here may touch the DOM or `window`.
+ *
+ * Architecture:
+ *  ├── FrameClock      — shared animation-frame loop handing out deltas
+ *  ├── EASINGS         — named easing curves, shared with script.js
+ *  ├── CanvasRenderer  — base class for background effects
+ *  │     ├── StarfieldRenderer (retro)
+ *  │     ├── OrbRenderer       (futuristic)
+ *  │     └── ParticleRenderer  (anime)
+ *  ├── CanvasTransition — hand-off between two renderers
+ *  │     ├── CrossfadeTransition
+ *  │     ├── MorphTransition  (points fly to their new places)
+ *  │     ├── CrtTransition    (tube power-off / power-on)
+ *  │     └── SakuraTransition (petal-burst wipe)
+ *  ├── CanvasSprite    — one-off visitors drawn over the renderer
+ *  │     └── MothershipSprite
+ *  ├── QualityGovernor — adaptive quality tiers
+ *  └── CanvasStage     — drives a renderer on any 2D context, on-screen
+ *                        or OffscreenCanvas
+ */
+
+'use strict';
+
+/* ==========================================================================
+  SIMULATION CLOCK
+  One animation-frame loop hands every animated subsystem the time
+  since the previous frame. Motion tuning across the page is expressed
+  "per 60 Hz frame"; scaling it by frameSteps(dt) keeps speeds identical on
+  30, 60, 120 or 144 Hz displays and on throttled machines.
+   ========================================================================== */
+
+/** Duration of the 60 Hz reference frame all tuning values assume, in ms */
+const FRAME_MS = 1000 / 60;
+
+/**
+ * How many 60 Hz reference frames dt covers — multiply per-frame speeds by it
+ * @param {number} dt — ms
+ */
+function frameSteps(dt) {
+  return dt / FRAME_MS;
+}
+
+/**
+ * Per-frame lerp factor converted to dt, so easing converges at the same
+ * rate regardless of frame rate
+ * @param {number} factor — fraction covered per 60 Hz frame, e.g. 0.04
+ * @param {number} dt — ms
+ */
+function frameLerp(factor, dt) {
+  return 1 - Math.pow(1 - factor, frameSteps(dt));
+}
+
+/**
+ * requestAnimationFrame where available — dedicated workers in some browsers
+ * lack it, so fall back to a 60 Hz timer there
+ */
+const requestFrame = self.requestAnimationFrame
+  ? cb => self.requestAnimationFrame(cb)
+  : cb => setTimeout(() => cb(performance.now()), FRAME_MS);
+const cancelFrame = self.cancelAnimationFrame
+  ? id => self.cancelAnimationFrame(id)
+  : id => clearTimeout(id);
+
+class FrameClock {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxDelta] — clamp in ms, so a stalled or hidden tab
+   *                                   resumes smoothly instead of teleporting
+   */
+  constructor({ maxDelta = 100 } = {}) {
+    this.maxDelta    = maxDelta;
+    this.subscribers = new Set();
+    this.rafId       = null;
+    this.lastTime    = null;
+    /** Total simulated time in ms — only advances while someone is subscribed */
+    this.elapsed     = 0;
+  }
+
+  /**
+   * Calls fn(dt, elapsed) every frame until the returned function is called.
+   * The rAF loop only runs while there is at least one subscriber.
+   * @param {(dt: number, elapsed: number) => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(fn) {
+    const idle = !this.subscribers.size;
+    this.subscribers.add(fn);
+    if (idle && !this.rafId) {
+      this.lastTime = null;
+      this.rafId = requestFrame(ts => this._tick(ts));
+    }
+    return () => this.unsubscribe(fn);
+  }
+
+  unsubscribe(fn) {
+    this.subscribers.delete(fn);
+    if (!this.subscribers.size && this.rafId) {
+      cancelFrame(this.rafId);
+      this.rafId = null;
+    }
+  }
+
+  _tick(now) {
+    // Cleared first so (un)subscribing from inside a callback can't double-schedule
+    this.rafId = null;
+
+    // First frame after (re)starting has no previous timestamp — assume one reference frame
+    const raw = this.lastTime === null ? FRAME_MS : now - this.lastTime;
+    const dt  = Math.min(Math.max(raw, 0), this.maxDelta);
+    this.lastTime = now;
+    this.elapsed += dt;
+
+    this.subscribers.forEach(fn => fn(dt, this.elapsed));
+
+    if (this.subscribers.size && !this.rafId) {
+      this.rafId = requestFrame(ts => this._tick(ts));
+    }
+  }
+}
+
+/** Shared clock for this thread — the page and the worker each get one */
+const frameClock = new FrameClock();
+
+/* ==========================================================================
+  EASING
+  Named easing curves for anything that plays out over a fixed time:
+  canvas transitions here, and in script.js the hero drift and the stat
+  counters (data-easing). Each maps progress 0 → 1 onto eased progress
+  0 → 1 — the "back" and "elastic" curves overshoot in between.
+   ========================================================================== */
+
+const EASINGS = {
+  linear:         t => t,
+  easeInQuad:     t => t * t,
+  easeOutQuad:    t => 1 - (1 - t) * (1 - t),
+  easeInOutQuad:  t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+  easeInCubic:    t => t * t * t,
+  easeOutCubic:   t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  easeInOutSine:  t => -(Math.cos(Math.PI * t) - 1) / 2,
+  easeOutExpo:    t => t === 1 ? 1 : 1 - Math.pow(2, -10 * t),
+  easeOutBack:    t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+  easeOutElastic: t => t === 0 || t === 1
+    ? t
+    : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1,
+};
+
+/* ==========================================================================
+  CANVAS RENDERERS
+  Each background effect is a self-contained renderer. The stage owns the
+  canvas and the loop; a renderer only sees its config, the canvas size and
+  the 2D context it is asked to draw into — so effects can be developed and
+  exercised without the stage.
+
+  Contract:
+    init(width, height)   — allocate state for a canvas of this size
+    update(dt)            — advance the simulation by dt milliseconds;
+                            config speeds are px per 60 Hz frame, so scale
+                            them with frameSteps(dt)
+    draw(ctx)             — paint one frame, background wash included
+    resize(width, height) — canvas size changed
+    setQuality(tier)      — a QUALITY_TIERS entry; honour particleScale
+                            and shadows (resolution and fpsCap are the
+                            stage's business)
+    dispose()             — release everything; the instance is not reused
+
+  Optional:
+    points()              — the live {x, y} objects the effect is made of,
+                            for transitions that morph one effect into another
+    pointColor            — CSS colour those points are drawn in
+    pulse(x, y)           — a click or tap at (x, y), in CSS pixels
+
+  Every renderer can read `this.pointer` — { x, y, active }, kept current
+  by the stage; active is false while no pointer is over the page. Pointer
+  effects are opt-in per theme: each is off unless its config key is set.
+   ========================================================================== */
+
+class CanvasRenderer {
+  /** @param {object} config — the theme's `canvas` settings */
+  constructor(config = {}) {
+    this.cfg = config;
+    this.quality = QUALITY_TIERS[0];
+    this.W = 0;
+    this.H = 0;
+    /** Replaced by the stage's shared pointer state */
+    this.pointer = { x: 0, y: 0, active: false };
+  }
+
+  /** Pool size for a configured count at the current quality tier */
+  scaledCount(count) {
+    return Math.max(1, Math.round(count * this.quality.particleScale));
+  }
+
+  init(width, height) {
+    this.W = width;
+    this.H = height;
+  }
+
+  update(dt) {}
+
+  draw(ctx) {}
+
+  /** Default: rebuild from scratch — pools are cheap to rebuild */
+  resize(width, height) {
+    this.init(width, height);
+  }
+
+  /** Default: rebuild so pool sizes follow the new particleScale */
+  setQuality(quality) {
+    this.quality = quality;
+    if (this.W) this.init(this.W, this.H);
+  }
+
+  dispose() {}
+}
+
+/* ---- STARFIELD (Retro) ---- */
+class StarfieldRenderer extends CanvasRenderer {
+  init(width, height) {
+    super.init(width, height);
+    this.stars = Array.from({ length: this.scaledCount(this.cfg.starCount) }, () => this._makeStar());
+    // Shooting star state — timed against the renderer's own clock
+    this.time = 0;
+    this.shootingStar = null;
+    this.lastShootingStarTime = 0;
+  }
+
+  _makeStar(fromTop = false) {
+    const cfg = this.cfg;
+    return {
+      x:     Math.random() * this.W,
+      y:     fromTop ? 0 : Math.random() * this.H,
+      size:  cfg.starSizeMin + Math.random() * (cfg.starSizeMax - cfg.starSizeMin),
+      speed: cfg.starSpeed * (0.5 + Math.random()),
+      opacity: 0.3 + Math.random() * 0.7,
+      twinkle: Math.random() * Math.PI * 2,
+      twinkleSpeed: 0.02 + Math.random() * 0.04,
+    };
+  }
+
+  update(dt) {
+    const k = frameSteps(dt);
+    this.time += dt;
+    this.stars.forEach(s => {
+      s.y      += s.speed * k;
+      s.twinkle += s.twinkleSpeed * k;
+      s.opacity = 0.3 + 0.4 * Math.abs(Math.sin(s.twinkle));
+      if (s.y > this.H) Object.assign(s, this._makeStar(true));
+    });
+    this._warp(k);
+
+    // Occasional shooting star
+    if (this.time - this.lastShootingStarTime > this.cfg.shootingStarInterval) {
+      this.lastShootingStarTime = this.time;
+      this.shootingStar = {
+        x:  Math.random() * this.W,
+        y:  Math.random() * (this.H * 0.4),
+        dx: 4 + Math.random() * 4,
+        dy: 2 + Math.random() * 2,
+        len: 80 + Math.random() * 80,
+        life: 1,
+      };
+    }
+    if (this.shootingStar) {
+      const ss = this.shootingStar;
+      ss.x    += ss.dx * k;
+      ss.y    += ss.dy * k;
+      ss.life -= 0.03 * k;
+      if (ss.life <= 0 || ss.x > this.W || ss.y > this.H) {
+        this.shootingStar = null;
+      }
+    }
+  }
+
+  /**
+   * Hyperspace: stars within `warpRadius` of the pointer are pulled into it,
+   * faster the closer they get, and reappear at the top once swallowed
+   * @param {number} k — frameSteps(dt)
+   */
+  _warp(k) {
+    const { warpRadius, warpSpeed } = this.cfg;
+    const pointer = this.pointer;
+    this.stars.forEach(s => {
+      s.warp = 0;
+      if (!warpRadius || !pointer.active) return;
+      const dx = pointer.x - s.x, dy = pointer.y - s.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist >= warpRadius) return;
+      if (dist < 4) {
+        Object.assign(s, this._makeStar(true));
+        return;
+      }
+      s.warp = 1 - dist / warpRadius;
+      const step = Math.min(warpSpeed * s.warp * s.warp * k, dist);
+      s.dx = dx / dist;
+      s.dy = dy / dist;
+      s.x += s.dx * step;
+      s.y += s.dy * step;
+    });
+  }
+
+  draw(ctx) {
+    const cfg = this.cfg;
+    ctx.fillStyle = cfg.trailColor;
+    ctx.fillRect(0, 0, this.W, this.H);
+
+    this.stars.forEach(s => {
+      ctx.fillStyle = `${cfg.glowColor}${s.opacity})`;
+      if (s.warp) {
+        // Warping stars streak back along their path
+        const len = s.warp * 24;
+        ctx.strokeStyle = ctx.fillStyle;
+        ctx.lineWidth = s.size;
+        ctx.beginPath();
+        ctx.moveTo(s.x, s.y);
+        ctx.lineTo(s.x - s.dx * len, s.y - s.dy * len);
+        ctx.stroke();
+        return;
+      }
+      // Pixel-style squares for retro look
+      ctx.fillRect(s.x, s.y, s.size, s.size);
+    });
+
+    // Shooting star
+    if (this.shootingStar) {
+      const ss = this.shootingStar;
+      const tailX = ss.x - ss.dx * (ss.len / 5);
+      const tailY = ss.y - ss.dy * (ss.len / 5);
+      const grad = ctx.createLinearGradient(ss.x, ss.y, tailX, tailY);
+      grad.addColorStop(0, `${cfg.glowColor}${ss.life})`);
+      grad.addColorStop(1, `${cfg.glowColor}0)`);
+      ctx.beginPath();
+      ctx.strokeStyle = grad;
+      ctx.lineWidth = 1.5;
+      ctx.moveTo(ss.x, ss.y);
+      ctx.lineTo(tailX, tailY);
+      ctx.stroke();
+    }
+  }
+
+  points() {
+    return this.stars;
+  }
+
+  get pointColor() {
+    return this.cfg.color;
+  }
+
+  dispose() {
+    this.stars = [];
+    this.shootingStar = null;
+  }
+}
+
+/* ---- ORBITING NODES (Futuristic) ---- */
+
+/** Number of alpha levels connection lines are quantised into — one stroke each */
+const ORB_ALPHA_BUCKETS = 8;
+
+/** Half of the 8-neighbourhood — with the cell itself, covers each pair once */
+const ORB_NEIGHBOUR_OFFSETS = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+class OrbRenderer extends CanvasRenderer {
+  init(width, height) {
+    super.init(width, height);
+    const cfg = this.cfg;
+    const count = this._orbCountFor(width, height);
+
+    this.orbs = Array.from({ length: count }, () => ({
+      x:   Math.random() * this.W,
+      y:   Math.random() * this.H,
+      vx:  (Math.random() - 0.5) * cfg.orbSpeed,
+      vy:  (Math.random() - 0.5) * cfg.orbSpeed,
+      r:   1 + Math.random() * 2.5,
+      hue: Math.random() > 0.5 ? 0 : 1, // 0=primary, 1=secondary
+      // Push from a click, decaying back to the cruise velocity
+      kx:  0,
+      ky:  0,
+    }));
+
+    this._allocateGrid();
+    // Reused every frame: flat [x1, y1, x2, y2, ...] segment lists per alpha bucket
+    this.segments = Array.from({ length: ORB_ALPHA_BUCKETS }, () => []);
+  }
+
+  /**
+   * A fixed `orbCount` wins; otherwise the node count follows viewport
+   * area (`orbDensity` nodes per megapixel) within the configured bounds.
+   */
+  _orbCountFor(width, height) {
+    const cfg = this.cfg;
+    if (cfg.orbCount) return this.scaledCount(cfg.orbCount);
+    const count = Math.round((width * height) / 1e6 * cfg.orbDensity);
+    return this.scaledCount(Math.max(cfg.orbCountMin, Math.min(cfg.orbCountMax, count)));
+  }
+
+  /**
+   * Spatial hash sized so every connection partner of a node lives in its
+   * own cell or one of the eight around it. Orbs roam 10px past each edge.
+   */
+  _allocateGrid() {
+    this.cellSize  = this.cfg.connectionDist;
+    this.gridCols  = Math.ceil((this.W + 20) / this.cellSize) + 1;
+    this.gridRows  = Math.ceil((this.H + 20) / this.cellSize) + 1;
+
+    const cells    = this.gridCols * this.gridRows;
+    this.cellStart = new Int32Array(cells + 1);
+    this.cellFill  = new Int32Array(cells);
+    this.cellItems = new Int32Array(this.orbs.length);
+    this.orbCell   = new Int32Array(this.orbs.length);
+  }
+
+  /** Counting sort of orb indices into grid cells — O(n), no allocation */
+  _hashOrbs() {
+    const { orbs, cellSize, gridCols, cellStart, cellFill, cellItems, orbCell } = this;
+    cellStart.fill(0);
+
+    for (let i = 0; i < orbs.length; i++) {
+      const cx = Math.floor((orbs[i].x + 10) / cellSize);
+      const cy = Math.floor((orbs[i].y + 10) / cellSize);
+      const cell = cy * gridCols + cx;
+      orbCell[i] = cell;
+      cellStart[cell + 1]++;
+    }
+    for (let c = 1; c < cellStart.length; c++) cellStart[c] += cellStart[c - 1];
+
+    cellFill.set(cellStart.subarray(0, cellFill.length));
+    for (let i = 0; i < orbs.length; i++) {
+      cellItems[cellFill[orbCell[i]]++] = i;
+    }
+  }
+
+  update(dt) {
+    const k = frameSteps(dt);
+    const drag = 1 - frameLerp(0.04, dt);
+    this.orbs.forEach(o => {
+      o.x += (o.vx + o.kx) * k;
+      o.y += (o.vy + o.ky) * k;
+      o.kx *= drag;
+      o.ky *= drag;
+      // Wrap around edges
+      if (o.x < -10)       o.x = this.W + 10;
+      if (o.x > this.W+10) o.x = -10;
+      if (o.y < -10)       o.y = this.H + 10;
+      if (o.y > this.H+10) o.y = -10;
+    });
+  }
+
+  /**
+   * Collects every pair closer than connectionDist into the alpha buckets.
+   * Each cell is compared with itself and four forward neighbours
+   * (E, SW, S, SE) so every pair is visited exactly once.
+   */
+  _collectConnections() {
+    const { orbs, gridCols, gridRows, cellStart, cellItems, segments } = this;
+    const maxDist = this.cfg.connectionDist;
+    const maxSq   = maxDist * maxDist;
+    segments.forEach(list => { list.length = 0; });
+
+    const link = (a, b) => {
+      const dx = a.x - b.x, dy = a.y - b.y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq >= maxSq) return;
+      const strength = 1 - Math.sqrt(distSq) / maxDist;
+      const bucket   = Math.min(ORB_ALPHA_BUCKETS - 1, Math.floor(strength * ORB_ALPHA_BUCKETS));
+      segments[bucket].push(a.x, a.y, b.x, b.y);
+    };
+
+    // The pointer joins the mesh as one more node
+    if (this.pointer.active) orbs.forEach(o => link(this.pointer, o));
+
+    for (let cy = 0; cy < gridRows; cy++) {
+      for (let cx = 0; cx < gridCols; cx++) {
+        const cell = cy * gridCols + cx;
+        const start = cellStart[cell], end = cellStart[cell + 1];
+        if (start === end) continue;
+
+        for (let p = start; p < end; p++) {
+          const a = orbs[cellItems[p]];
+
+          // Same cell — only later entries
+          for (let q = p + 1; q < end; q++) link(a, orbs[cellItems[q]]);
+
+          // Forward neighbours
+          for (const [ox, oy] of ORB_NEIGHBOUR_OFFSETS) {
+            const nx = cx + ox, ny = cy + oy;
+            if (nx < 0 || nx >= gridCols || ny >= gridRows) continue;
+            const n = ny * gridCols + nx;
+            for (let q = cellStart[n]; q < cellStart[n + 1]; q++) link(a, orbs[cellItems[q]]);
+          }
+        }
+      }
+    }
+  }
+
+  draw(ctx) {
+    const cfg = this.cfg;
+    const { W, H } = this;
+
+    // Deep space radial clear
+    const [inner, outer] = cfg.backgroundStops;
+    const grad = ctx.createRadialGradient(W * 0.5, H * 0.3, 0, W * 0.5, H * 0.3, W * 0.7);
+    grad.addColorStop(0, inner);
+    grad.addColorStop(1, outer);
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, W, H);
+
+    // Connection lines first (behind nodes) — one stroke per alpha bucket
+    this._hashOrbs();
+    this._collectConnections();
+    ctx.lineWidth = 0.5;
+    this.segments.forEach((list, bucket) => {
+      if (!list.length) return;
+      const alpha = ((bucket + 0.5) / ORB_ALPHA_BUCKETS) * 0.25;
+      ctx.beginPath();
+      ctx.strokeStyle = `${cfg.glowColor}${alpha})`;
+      for (let i = 0; i < list.length; i += 4) {
+        ctx.moveTo(list[i], list[i + 1]);
+        ctx.lineTo(list[i + 2], list[i + 3]);
+      }
+      ctx.stroke();
+    });
+
+    // Orb nodes with glow — one fill per colour
+    ctx.globalAlpha = 0.85;
+    ctx.shadowBlur  = this.quality.shadows ? 10 : 0;
+    [cfg.color, cfg.secondaryColor].forEach((color, hue) => {
+      ctx.beginPath();
+      this.orbs.forEach(o => {
+        if (o.hue !== hue) return;
+        ctx.moveTo(o.x + o.r, o.y);
+        ctx.arc(o.x, o.y, o.r, 0, Math.PI * 2);
+      });
+      ctx.fillStyle   = color;
+      ctx.shadowColor = color;
+      ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+    ctx.shadowBlur  = 0;
+  }
+
+  /** Clicks push nearby nodes away — within `repelRadius`, by up to `repelForce` px per frame */
+  pulse(x, y) {
+    const { repelRadius, repelForce } = this.cfg;
+    if (!repelRadius) return;
+    this.orbs.forEach(o => {
+      const dx = o.x - x, dy = o.y - y;
+      const dist = Math.hypot(dx, dy) || 1;
+      if (dist >= repelRadius) return;
+      const push = repelForce * (1 - dist / repelRadius);
+      o.kx += (dx / dist) * push;
+      o.ky += (dy / dist) * push;
+    });
+  }
+
+  points() {
+    return this.orbs;
+  }
+
+  get pointColor() {
+    return this.cfg.color;
+  }
+
+  dispose() {
+    this.orbs = [];
+    this.segments = [];
+  }
+}
+
+/* ---- RISING PARTICLES (Anime) ---- */
+class ParticleRenderer extends CanvasRenderer {
+  init(width, height) {
+    super.init(width, height);
+    this.particles = Array.from({ length: this.scaledCount(this.cfg.particleCount) }, () =>
+      this._makeParticle()
+    );
+    /** Short-lived sparks from taps */
+    this.sparks = [];
+  }
+
+  _makeParticle() {
+    const cfg = this.cfg;
+    return {
+      x:      Math.random() * this.W,
+      y:      this.H + Math.random() * this.H,
+      vx:     (Math.random() - 0.5) * 0.8,
+      vy:     -(0.5 + Math.random() * cfg.particleSpeed * 2),
+      r:      2 + Math.random() * 5,
+      color:  cfg.colors[Math.floor(Math.random() * cfg.colors.length)],
+      opacity: 0.1 + Math.random() * 0.5,
+      wobble: Math.random() * Math.PI * 2,
+      wobbleSpeed: 0.01 + Math.random() * 0.02,
+    };
+  }
+
+  update(dt) {
+    const k = frameSteps(dt);
+    this.particles.forEach((p, i) => {
+      p.y      += p.vy * k;
+      p.x      += (p.vx + Math.sin(p.wobble) * 0.4) * k;
+      p.wobble += p.wobbleSpeed * k;
+      this._swirl(p, k);
+      if (p.y < -20) {
+        this.particles[i] = this._makeParticle();
+      }
+    });
+
+    this.sparks.forEach(s => {
+      s.x    += s.vx * k;
+      s.y    += s.vy * k;
+      s.vy   += 0.05 * k;
+      s.life -= 0.02 * k;
+    });
+    this.sparks = this.sparks.filter(s => s.life > 0);
+  }
+
+  /**
+   * Within `swirlRadius` of the pointer, particles circle it — strongest
+   * close in — with a slight pull so they don't fling straight out
+   */
+  _swirl(p, k) {
+    const { swirlRadius, swirlStrength } = this.cfg;
+    const pointer = this.pointer;
+    if (!swirlRadius || !pointer.active) return;
+    const dx = p.x - pointer.x, dy = p.y - pointer.y;
+    const dist = Math.hypot(dx, dy) || 1;
+    if (dist >= swirlRadius) return;
+    const force = swirlStrength * (1 - dist / swirlRadius) * k;
+    p.x += (-dy / dist - dx / dist * 0.3) * force;
+    p.y += ( dx / dist - dy / dist * 0.3) * force;
+  }
+
+  /** Taps burst into `burstCount` sparks in the theme's colours */
+  pulse(x, y) {
+    const colors = this.cfg.colors;
+    const count  = this.cfg.burstCount ? this.scaledCount(this.cfg.burstCount) : 0;
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2 + Math.random() * 0.3;
+      const speed = 1.5 + Math.random() * 3;
+      this.sparks.push({
+        x, y,
+        vx:    Math.cos(angle) * speed,
+        vy:    Math.sin(angle) * speed,
+        r:     1.5 + Math.random() * 2.5,
+        color: colors[Math.floor(Math.random() * colors.length)],
+        life:  1,
+      });
+    }
+  }
+
+  draw(ctx) {
+    ctx.fillStyle = this.cfg.trailColor;
+    ctx.fillRect(0, 0, this.W, this.H);
+
+    this.sparks.forEach(s => {
+      ctx.beginPath();
+      ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
+      ctx.fillStyle = s.color;
+      ctx.globalAlpha = s.life;
+      ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+
+    const shadows = this.quality.shadows;
+    this.particles.forEach(p => {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
+      ctx.fillStyle = p.color;
+      ctx.globalAlpha = p.opacity;
+      ctx.shadowColor = p.color;
+      ctx.shadowBlur = shadows ? p.r * 3 : 0;
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.shadowBlur = 0;
+    });
+  }
+
+  points() {
+    return this.particles;
+  }
+
+  get pointColor() {
+    return this.cfg.colors[0];
+  }
+
+  dispose() {
+    this.particles = [];
+    this.sparks = [];
+  }
+}
+
+/* ==========================================================================
+  CANVAS TRANSITIONS
+  How one renderer hands over to the next when the theme changes. The stage
+  keeps both renderers running for the transition's duration and draws each
+  into an off-screen buffer; the transition composes the two frames.
+
+  Contract (subclass CanvasTransition):
+    constructor(from, to, opts) — both renderers are initialised at the
+                                  current size; opts.duration in ms,
+                                  opts.easing a key of EASINGS
+    draw(ctx, frames)           — paint one frame from frames.from and
+                                  frames.to (canvases holding this frame of
+                                  each renderer, drawn at W × H);
+                                  this.progress runs 0 → 1
+   ========================================================================== */
+
+class CanvasTransition {
+  /** Default length in ms — subclasses pick their own */
+  static duration = 900;
+  /** Default curve for this.ease(), a key of EASINGS */
+  static easing = 'easeInOutCubic';
+
+  /**
+   * @param {CanvasRenderer} from — outgoing renderer
+   * @param {CanvasRenderer} to   — incoming renderer
+   * @param {object} [opts]
+   * @param {number} [opts.duration] — ms, defaults to the class's duration
+   * @param {string} [opts.easing]   — a key of EASINGS, defaults to the class's easing
+   */
+  constructor(from, to, { duration, easing } = {}) {
+    const name = easing || this.constructor.easing;
+    if (!EASINGS[name]) throw new Error(`CanvasTransition: unknown easing "${name}"`);
+
+    this.from     = from;
+    this.to       = to;
+    this.duration = duration || this.constructor.duration;
+    /** The curve draw() shapes progress with */
+    this.ease     = EASINGS[name];
+    this.elapsed  = 0;
+    this.W        = to.W;
+    this.H        = to.H;
+  }
+
+  get progress() {
+    return Math.min(this.elapsed / this.duration, 1);
+  }
+
+  get done() {
+    return this.elapsed >= this.duration;
+  }
+
+  /** Advances the clock and both renderers */
+  update(dt) {
+    this.elapsed += dt;
+    this.from.update(dt);
+    this.to.update(dt);
+  }
+
+  draw(ctx, frames) {}
+}
+
+/* ---- CROSSFADE (default) ---- */
+class CrossfadeTransition extends CanvasTransition {
+  draw(ctx, { from, to }) {
+    ctx.drawImage(from, 0, 0, this.W, this.H);
+    ctx.globalAlpha = this.ease(this.progress);
+    ctx.drawImage(to, 0, 0, this.W, this.H);
+    ctx.globalAlpha = 1;
+  }
+}
+
+/* ---- MORPH (e.g. stars → orbs) ---- */
+class MorphTransition extends CanvasTransition {
+  static duration = 1600;
+
+  /**
+   * Pairs every incoming point with an outgoing one. Sources are frozen
+   * where they were; targets are the incoming renderer's live points, so
+   * the swarm lands on nodes that are already moving.
+   */
+  constructor(from, to, opts) {
+    super(from, to, opts);
+    const sources = from.points ? from.points() : [];
+    const targets = to.points ? to.points() : [];
+    this.pairs = targets.map((target, i) => {
+      const source = sources[i % sources.length] || { x: this.W / 2, y: this.H / 2 };
+      return { x: source.x, y: source.y, target };
+    });
+    this.fromColor = from.pointColor || '#fff';
+    this.toColor   = to.pointColor || '#fff';
+  }
+
+  draw(ctx, { from, to }) {
+    const e = this.ease(this.progress);
+
+    ctx.globalAlpha = 1 - e;
+    ctx.drawImage(from, 0, 0, this.W, this.H);
+    // The real effect only shows up as the swarm arrives
+    ctx.globalAlpha = e * e;
+    ctx.drawImage(to, 0, 0, this.W, this.H);
+
+    ctx.beginPath();
+    this.pairs.forEach(p => {
+      const x = p.x + (p.target.x - p.x) * e;
+      const y = p.y + (p.target.y - p.y) * e;
+      ctx.rect(x - 1, y - 1, 2, 2);
+    });
+    // One path, filled in both colours — the blend reads as a colour shift
+    const swarm = 1 - e * e;
+    ctx.fillStyle = this.fromColor;
+    ctx.globalAlpha = swarm * (1 - e);
+    ctx.fill();
+    ctx.fillStyle = this.toColor;
+    ctx.globalAlpha = swarm * e;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+}
+
+/* ---- CRT POWER CYCLE (Retro) ---- */
+class CrtTransition extends CanvasTransition {
+  static duration = 1100;
+
+  /**
+   * First half: the old picture collapses to a bright line, then a dot.
+   * Second half: the same in reverse, opening onto the new picture.
+   */
+  draw(ctx, { from, to }) {
+    const { W, H } = this;
+    const p = this.progress;
+    const powerOff = p < 0.5;
+    const phase = powerOff ? p * 2 : (p - 0.5) * 2;
+    const open  = this.ease(powerOff ? 1 - phase : phase);
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, W, H);
+
+    // Vertical collapse in the upper half of `open`, horizontal in the lower
+    const sy = Math.max(open * 2 - 1, 0);
+    const sx = Math.min(open * 2, 1);
+    const w = W * sx;
+    const h = Math.max(H * sy, 2);
+    if (w < 1) return;
+
+    ctx.drawImage(powerOff ? from : to, (W - w) / 2, (H - h) / 2, w, h);
+    ctx.globalAlpha = 1 - sy;
+    ctx.fillStyle = '#f0fff0';
+    ctx.fillRect((W - w) / 2, H / 2 - 1, w, 2);
+    ctx.globalAlpha = 1;
+  }
+}
+
+/* ---- SAKURA WIPE (Anime) ---- */
+
+/** Petal colours when the incoming renderer doesn't bring its own palette */
+const SAKURA_COLORS = ['#ffb7d5', '#ff8fc0', '#ffd6e8'];
+
+class SakuraTransition extends CanvasTransition {
+  static duration = 1400;
+
+  constructor(from, to, opts) {
+    super(from, to, opts);
+    const colors = to.cfg.colors || SAKURA_COLORS;
+    this.petals = Array.from({ length: 90 }, () => ({
+      angle:  Math.random() * Math.PI * 2,
+      offset: Math.random() - 0.5,
+      spin:   Math.random() * Math.PI * 2,
+      size:   4 + Math.random() * 6,
+      color:  colors[Math.floor(Math.random() * colors.length)],
+    }));
+  }
+
+  /** The new scene opens in a growing circle, petals riding its edge */
+  draw(ctx, { from, to }) {
+    const { W, H } = this;
+    const e  = this.ease(this.progress);
+    const cx = W / 2, cy = H / 2;
+    const radius = e * (Math.hypot(W, H) / 2 + 60);
+
+    ctx.drawImage(from, 0, 0, W, H);
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.clip();
+    ctx.drawImage(to, 0, 0, W, H);
+    ctx.restore();
+
+    ctx.globalAlpha = 1 - e * e * e;
+    this.petals.forEach(petal => {
+      const dist = radius + petal.offset * 80 * (1 + e);
+      ctx.save();
+      ctx.translate(cx + Math.cos(petal.angle) * dist, cy + Math.sin(petal.angle) * dist);
+      ctx.rotate(petal.spin + e * 6);
+      ctx.beginPath();
+      ctx.ellipse(0, 0, petal.size, petal.size * 0.55, 0, 0, Math.PI * 2);
+      ctx.fillStyle = petal.color;
+      ctx.fill();
+      ctx.restore();
+    });
+    ctx.globalAlpha = 1;
+  }
+}
+
+/* ==========================================================================
+  CANVAS SPRITES
+  One-off visitors drawn over whatever renderer is active — a cheat's
+  mothership, for example. Each lives until its update() returns false.
+
+  Contract (subclass CanvasSprite):
+    constructor(width, height, options) — canvas size in CSS pixels and
+                                          plain-data options
+    update(dt)                          — advance; false once finished
+    draw(ctx)
+   ========================================================================== */
+
+class CanvasSprite {
+  constructor(width, height, options = {}) {
+    this.W = width;
+    this.H = height;
+    this.options = options;
+  }
+
+  update(dt) {
+    return false;
+  }
+
+  draw(ctx) {}
+}
+
+/* ---- MOTHERSHIP ---- */
+
+/** The classic UFO, one string per pixel row */
+const MOTHERSHIP_PIXELS = [
+  '.....######.....',
+  '...##########...',
+  '..############..',
+  '.##.##.##.##.##.',
+  '################',
+  '..###..##..###..',
+  '...#........#...',
+];
+
+class MothershipSprite extends CanvasSprite {
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {object} [options]
+   * @param {string} [options.color]
+   * @param {number} [options.speed] — px per 60 Hz frame
+   */
+  constructor(width, height, { color = '#ff2040', speed = 3 } = {}) {
+    super(width, height);
+    this.color = color;
+    this.speed = speed;
+    this.pixel = Math.max(3, Math.round(width / 240));
+    this.x     = -MOTHERSHIP_PIXELS[0].length * this.pixel;
+    this.baseY = height * (0.1 + Math.random() * 0.2);
+    this.time  = 0;
+  }
+
+  update(dt) {
+    this.time += dt;
+    this.x += this.speed * frameSteps(dt);
+    return this.x < this.W;
+  }
+
+  draw(ctx) {
+    const size = this.pixel;
+    const y = this.baseY + Math.sin(this.time / 300) * 6;
+    ctx.beginPath();
+    MOTHERSHIP_PIXELS.forEach((row, r) => {
+      for (let c = 0; c < row.length; c++) {
+        if (row[c] === '#') ctx.rect(this.x + c * size, y + r * size, size, size);
+      }
+    });
+    ctx.fillStyle   = this.color;
+    ctx.shadowColor = this.color;
+    ctx.shadowBlur  = 12;
+    ctx.fill();
+    ctx.shadowBlur  = 0;
+  }
+}
+
+/* ==========================================================================
+  QUALITY GOVERNOR
+  Watches the real frame interval and trades background fidelity for frame
+  rate: fewer particles, then no shadow blur and a lower internal
+  resolution, then a capped frame rate. Steps back up once frames have been
+  comfortably fast for a while; a tier that immediately proves too heavy
+  makes the next attempt wait twice as long.
+   ========================================================================== */
+
+/** Ordered best → cheapest */
+const QUALITY_TIERS = [
+  { name: 'high',    particleScale: 1,    shadows: true,  resolution: 1,    fpsCap: 0  },
+  { name: 'medium',  particleScale: 0.7,  shadows: true,  resolution: 1,    fpsCap: 0  },
+  { name: 'low',     particleScale: 0.45, shadows: false, resolution: 0.75, fpsCap: 0  },
+  { name: 'minimal', particleScale: 0.25, shadows: false, resolution: 0.5,  fpsCap: 30 },
+];
+
+class QualityGovernor {
+  /**
+   * @param {object}   opts
+   * @param {Function} opts.onChange   — called with the new QUALITY_TIERS entry
+   * @param {number}   [opts.downMs]   — average frame time that counts as struggling
+   * @param {number}   [opts.upMs]     — average frame time that counts as headroom
+   * @param {number}   [opts.downHold] — ms of struggling before stepping down
+   * @param {number}   [opts.upHold]   — ms of headroom before stepping up
+   * @param {number}   [opts.settle]   — ms ignored after a change (resizes hitch)
+   */
+  constructor({
+    onChange,
+    downMs   = 1000 / 45,
+    upMs     = 1000 / 56,
+    downHold = 1000,
+    upHold   = 4000,
+    settle   = 2000,
+  } = {}) {
+    this.onChange = onChange;
+    this.downMs   = downMs;
+    this.upMs     = upMs;
+    this.downHold = downHold;
+    this.upHold   = upHold;
+    this.settle   = settle;
+
+    this.tier      = 0;
+    /** Tier index forced from the debug overlay, or null for automatic */
+    this.pinned    = null;
+    this.avgDt     = FRAME_MS;
+    this.settling  = settle;
+    this.slowFor   = 0;
+    this.fastFor   = 0;
+    this.lastStep  = null;
+  }
+
+  get current() {
+    return QUALITY_TIERS[this.tier];
+  }
+
+  get fps() {
+    return 1000 / this.avgDt;
+  }
+
+  /**
+   * Feed one frame interval.
+   * @param {number} dt — ms between rAF callbacks, whether or not we drew
+   */
+  sample(dt) {
+    // Exponential moving average — smooths out single GC or layout spikes
+    this.avgDt += (dt - this.avgDt) * 0.05;
+    if (this.pinned !== null) return;
+
+    if (this.settling > 0) {
+      this.settling -= dt;
+      return;
+    }
+
+    if (this.avgDt > this.downMs) {
+      this.slowFor += dt;
+      this.fastFor  = 0;
+    } else if (this.avgDt < this.upMs) {
+      this.fastFor += dt;
+      this.slowFor  = 0;
+    } else {
+      this.slowFor = this.fastFor = 0;
+    }
+
+    if (this.slowFor > this.downHold && this.tier < QUALITY_TIERS.length - 1) {
+      this._step(1);
+    } else if (this.fastFor > this.upHold && this.tier > 0) {
+      this._step(-1);
+    }
+  }
+
+  /**
+   * Forces a tier, or hands control back to the governor with null
+   * @param {number|null} tier
+   */
+  pin(tier) {
+    this.pinned = tier;
+    if (tier !== null) this._setTier(tier);
+  }
+
+  _step(direction) {
+    // Falling straight back down means the higher tier doesn't fit — back off
+    if (direction > 0 && this.lastStep < 0) {
+      this.upHold = Math.min(this.upHold * 2, 60000);
+    }
+    this.lastStep = direction;
+    this._setTier(this.tier + direction);
+  }
+
+  _setTier(tier) {
+    if (tier === this.tier) return;
+    this.tier     = tier;
+    this.settling = this.settle;
+    this.slowFor  = this.fastFor = 0;
+    if (this.onChange) this.onChange(this.current);
+  }
+}
+
+/* ==========================================================================
+  CANVAS STAGE
+  Everything the background needs to draw, minus the DOM: the context,
+  backing-store sizing, the quality governor and the active renderer. The
+  page's CanvasEngine runs one on the main thread, or canvas-worker.js runs
+  one against an OffscreenCanvas and the engine just sends it messages.
+   ========================================================================== */
+
+/**
+ * Default buffer factory for transitions — null where OffscreenCanvas is
+ * missing, which makes every transition an instant swap
+ */
+function createOffscreenBuffer(width, height) {
+  return typeof OffscreenCanvas === 'function' ? new OffscreenCanvas(width, height) : null;
+}
+
+class CanvasStage {
+  /** @type {Map<string, typeof CanvasRenderer>} */
+  static renderers = new Map();
+
+  /** @type {Map<string, typeof CanvasTransition>} */
+  static transitions = new Map();
+
+  /** @type {Map<string, typeof CanvasSprite>} */
+  static sprites = new Map();
+
+  /**
+   * Makes a renderer available by name, e.g. for a theme's `canvas.renderer`
+   * @param {string} name
+   * @param {typeof CanvasRenderer} RendererClass
+   */
+  static registerRenderer(name, RendererClass) {
+    if (typeof RendererClass !== 'function') {
+      throw new Error(`CanvasStage: renderer "${name}" must be a class`);
+    }
+    this.renderers.set(name, RendererClass);
+  }
+
+  /**
+   * Makes a transition available by name, e.g. for ThemeRegistry.setTransition()
+   * @param {string} name
+   * @param {typeof CanvasTransition} TransitionClass
+   */
+  static registerTransition(name, TransitionClass) {
+    if (typeof TransitionClass !== 'function') {
+      throw new Error(`CanvasStage: transition "${name}" must be a class`);
+    }
+    this.transitions.set(name, TransitionClass);
+  }
+
+  /**
+   * Makes a sprite available to spawn() by name
+   * @param {string} name
+   * @param {typeof CanvasSprite} SpriteClass
+   */
+  static registerSprite(name, SpriteClass) {
+    if (typeof SpriteClass !== 'function') {
+      throw new Error(`CanvasStage: sprite "${name}" must be a class`);
+    }
+    this.sprites.set(name, SpriteClass);
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {object}   [opts]
+   * @param {Function} [opts.onQuality] — called with the tier index whenever
+   *                                      the governor changes it
+   * @param {Function} [opts.onTransitionEnd] — called with (id, completed)
+   *                                      when a transition finishes or is cut short
+   * @param {Function} [opts.createBuffer] — (width, height) → canvas to
+   *                                      compose transitions in, or null
+   */
+  constructor(ctx, { onQuality, onTransitionEnd, createBuffer = createOffscreenBuffer } = {}) {
+    this.ctx        = ctx;
+    this.onQuality  = onQuality;
+    this.onTransitionEnd = onTransitionEnd;
+    this.createBuffer    = createBuffer;
+    this.running    = false;
+    /** The loop runs only while visible and animated */
+    this.hidden     = false;
+    this.animated   = true;
+    /** Unsubscribe handle from the FrameClock */
+    this.stopLoop   = null;
+    this.W          = 0;
+    this.H          = 0;
+    this.pixelRatio = 1;
+
+    /** @type {CanvasRenderer|null} */
+    this.renderer = null;
+    /** @type {CanvasTransition|null} — while set, `renderer` is its incoming side */
+    this.transition   = null;
+    this.transitionId = null;
+    /** Off-screen frames for the two sides of a transition, made on first use */
+    this.buffers = null;
+    /** Shared with every renderer the stage creates */
+    this.pointer = { x: 0, y: 0, active: false };
+    /** @type {CanvasSprite[]} */
+    this.sprites = [];
+
+    // Adaptive quality — starts optimistic and steps down if frames suffer
+    this.quality   = QUALITY_TIERS[0];
+    this.pendingDt = 0;
+    this.governor  = new QualityGovernor({
+      onChange: tier => {
+        this._applyQuality(tier);
+        if (this.onQuality) this.onQuality(this.governor.tier);
+      },
+    });
+  }
+
+  /**
+   * Layout size in CSS pixels plus the device pixel ratio to render at.
+   * Renderers are only rebuilt when the layout size actually changed.
+   * @param {number} width
+   * @param {number} height
+   * @param {number} pixelRatio — already capped by the caller
+   */
+  resize(width, height, pixelRatio) {
+    const sizeChanged = width !== this.W || height !== this.H;
+    // Both sides would have to rebuild mid-flight — just land it
+    if (sizeChanged) this._endTransition(true);
+    this.W = width;
+    this.H = height;
+    this.pixelRatio = pixelRatio;
+    this._sizeBackingStore();
+    if (sizeChanged && this.renderer) this.renderer.resize(width, height);
+    if (!this.running) this._drawStill();
+  }
+
+  /**
+   * The backing store is sized in device pixels and shrinks with the quality
+   * tier's resolution; CSS stretches it to the viewport and the transform
+   * lets renderers keep drawing in CSS pixels.
+   */
+  _sizeBackingStore() {
+    const scale = this.pixelRatio * this.quality.resolution;
+    this.ctx.canvas.width  = Math.round(this.W * scale);
+    this.ctx.canvas.height = Math.round(this.H * scale);
+    this.ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  }
+
+  /** @param {boolean} hidden — page not visible, so don't spend frames */
+  setHidden(hidden) {
+    this.hidden = hidden;
+    this._updateLoop();
+  }
+
+  /**
+   * Reduced motion: hold a single still frame instead of animating
+   * @param {boolean} animated
+   */
+  setAnimated(animated) {
+    this.animated = animated;
+    this._updateLoop();
+  }
+
+  _updateLoop() {
+    if (!this.hidden && this.animated) {
+      this.start();
+    } else {
+      this.stop();
+      this._endTransition(true);
+      this._drawStill();
+    }
+  }
+
+  /** Paints the current state once — resizing or a new renderer clears the canvas */
+  _drawStill() {
+    this.ctx.clearRect(0, 0, this.W, this.H);
+    if (this.renderer) this.renderer.draw(this.ctx);
+  }
+
+  /** Starts (or resumes) the loop */
+  start() {
+    if (this.running) return;
+    this.running  = true;
+    this.stopLoop = frameClock.subscribe(dt => this._loop(dt));
+  }
+
+  /** Pauses the loop — simulation state is kept */
+  stop() {
+    this.running = false;
+    if (this.stopLoop) this.stopLoop();
+    this.stopLoop = null;
+  }
+
+  /**
+   * One frame: feed the governor, honour the tier's frame-rate cap, then
+   * update and draw the active renderer.
+   * @param {number} dt — ms since the previous frame (clamped)
+   */
+  _loop(dt) {
+    this.governor.sample(dt);
+
+    // Frame-rate cap: bank time until a capped frame is due
+    const cap = this.quality.fpsCap;
+    if (cap) {
+      this.pendingDt += dt;
+      if (this.pendingDt < 1000 / cap - 1) return;
+      dt = this.pendingDt;
+      this.pendingDt = 0;
+    }
+
+    if (this.transition) {
+      this.transition.update(dt);
+      this._drawTransition();
+      if (this.transition.done) this._endTransition(true);
+    } else {
+      this.ctx.clearRect(0, 0, this.W, this.H);
+      if (this.renderer) {
+        this.renderer.update(dt);
+        this.renderer.draw(this.ctx);
+      }
+    }
+
+    if (this.sprites.length) {
+      this.sprites = this.sprites.filter(sprite => sprite.update(dt));
+      this.sprites.forEach(sprite => sprite.draw(this.ctx));
+    }
+  }
+
+  /** Renders both sides into their buffers and lets the transition compose them */
+  _drawTransition() {
+    const { width, height } = this.ctx.canvas;
+    const scale  = this.pixelRatio * this.quality.resolution;
+    const frames = {};
+
+    ['from', 'to'].forEach(side => {
+      const buffer = this.buffers[side];
+      if (buffer.canvas.width !== width || buffer.canvas.height !== height) {
+        buffer.canvas.width  = width;
+        buffer.canvas.height = height;
+      }
+      buffer.ctx.setTransform(1, 0, 0, 1, 0, 0);
+      buffer.ctx.clearRect(0, 0, width, height);
+      buffer.ctx.setTransform(scale, 0, 0, scale, 0, 0);
+      this.transition[side].draw(buffer.ctx);
+      frames[side] = buffer.canvas;
+    });
+
+    this.ctx.clearRect(0, 0, this.W, this.H);
+    this.transition.draw(this.ctx, frames);
+  }
+
+  /** Lazily creates the transition buffers; false if this thread can't */
+  _ensureBuffers() {
+    if (this.buffers) return true;
+    const from = this.createBuffer(1, 1);
+    const to   = this.createBuffer(1, 1);
+    if (!from || !to) return false;
+    this.buffers = {
+      from: { canvas: from, ctx: from.getContext('2d') },
+      to:   { canvas: to,   ctx: to.getContext('2d') },
+    };
+    return true;
+  }
+
+  /**
+   * Settles the running transition, if any: the outgoing renderer is
+   * disposed and the incoming one carries on alone.
+   * @param {boolean} completed — false when it was cut short
+   */
+  _endTransition(completed) {
+    if (!this.transition) return;
+    const { from } = this.transition;
+    const id = this.transitionId;
+    this.transition   = null;
+    this.transitionId = null;
+    from.dispose();
+    if (this.onTransitionEnd) this.onTransitionEnd(id, completed);
+  }
+
+  /**
+   * Swaps the active renderer; the previous one is disposed.
+   * @param {string|typeof CanvasRenderer} renderer — registered name or class
+   * @param {object} [config] — passed to the renderer's constructor
+   * @returns {CanvasRenderer}
+   */
+  setRenderer(renderer, config = {}) {
+    this._endTransition(false);
+    if (this.renderer) this.renderer.dispose();
+    this.renderer = this._createRenderer(renderer, config);
+    if (!this.running) this._drawStill();
+    return this.renderer;
+  }
+
+  /**
+   * Swaps the active renderer through a transition. A transition already
+   * running is cut short first — its incoming renderer becomes the
+   * outgoing one. Without a running loop (hidden, reduced motion) or
+   * buffers to compose in, the swap is instant.
+   * @param {string|typeof CanvasRenderer} renderer — registered name or class
+   * @param {object} [config] — passed to the renderer's constructor
+   * @param {object} [opts]
+   * @param {string} [opts.transition='crossfade'] — registered transition name
+   * @param {number} [opts.duration] — ms, defaults to the transition's own
+   * @param {string} [opts.easing] — a key of EASINGS, defaults to the transition's own
+   * @param {*}      [opts.id] — handed back through onTransitionEnd
+   * @returns {CanvasRenderer}
+   */
+  transitionTo(renderer, config = {}, { transition = 'crossfade', duration, easing, id = null } = {}) {
+    const TransitionClass = CanvasStage.transitions.get(transition);
+    if (!TransitionClass) {
+      throw new Error(`CanvasStage: unknown transition "${transition}"`);
+    }
+
+    this._endTransition(false);
+    const from = this.renderer;
+    const to   = this._createRenderer(renderer, config);
+    this.renderer = to;
+
+    if (!from || !this.running || !this._ensureBuffers()) {
+      if (from) from.dispose();
+      if (!this.running) this._drawStill();
+      if (this.onTransitionEnd) this.onTransitionEnd(id, true);
+      return to;
+    }
+
+    this.transition   = new TransitionClass(from, to, { duration, easing });
+    this.transitionId = id;
+    return to;
+  }
+
+  /** Instantiates and sizes a renderer at the current quality */
+  _createRenderer(renderer, config) {
+    const RendererClass = typeof renderer === 'string'
+      ? CanvasStage.renderers.get(renderer)
+      : renderer;
+    if (!RendererClass) {
+      throw new Error(`CanvasStage: unknown renderer "${renderer}"`);
+    }
+
+    const instance = new RendererClass(config);
+    instance.pointer = this.pointer;
+    instance.setQuality(this.quality);
+    instance.init(this.W, this.H);
+    return instance;
+  }
+
+  /**
+   * Where the pointer is, in CSS pixels
+   * @param {number} x
+   * @param {number} y
+   * @param {boolean} active — false once it left the page or the finger lifted
+   */
+  setPointer(x, y, active) {
+    this.pointer.x = x;
+    this.pointer.y = y;
+    this.pointer.active = active;
+  }
+
+  /**
+   * A click or tap — only the incoming renderer reacts mid-transition, and
+   * nothing does while the loop is paused
+   * @param {number} x
+   * @param {number} y
+   */
+  pulse(x, y) {
+    if (this.running && this.renderer && this.renderer.pulse) this.renderer.pulse(x, y);
+  }
+
+  /**
+   * Sends a sprite across the canvas. Sprites are motion, so nothing
+   * spawns while the loop is paused.
+   * @param {string} name — registered sprite
+   * @param {object} [options] — passed to the sprite's constructor
+   * @returns {boolean} whether it spawned
+   */
+  spawn(name, options = {}) {
+    const SpriteClass = CanvasStage.sprites.get(name);
+    if (!SpriteClass) {
+      throw new Error(`CanvasStage: unknown sprite "${name}"`);
+    }
+    if (!this.running) return false;
+    this.sprites.push(new SpriteClass(this.W, this.H, options));
+    return true;
+  }
+
+  /**
+   * Forces a quality tier, or hands control back to the governor
+   * @param {number|null} tier — index into QUALITY_TIERS
+   */
+  pinQuality(tier) {
+    this.governor.pin(tier);
+  }
+
+  _applyQuality(tier) {
+    this.quality   = tier;
+    this.pendingDt = 0;
+    this._endTransition(true);
+    this._sizeBackingStore();
+    if (this.renderer) this.renderer.setQuality(tier);
+    if (!this.running) this._drawStill();
+  }
+
+  /** Snapshot for the perf overlay — plain data so it survives postMessage */
+  stats() {
+    const governor = this.governor;
+    return {
+      tier:   governor.tier,
+      pinned: governor.pinned,
+      fps:    governor.fps,
+      avgDt:  governor.avgDt,
+    };
+  }
+
+  destroy() {
+    this.stop();
+    this._endTransition(false);
+    if (this.renderer) this.renderer.dispose();
+    this.renderer = null;
+    this.buffers  = null;
+    this.sprites  = [];
+  }
+}
+
+CanvasStage.registerRenderer('starfield', StarfieldRenderer);
+CanvasStage.registerRenderer('orbs',      OrbRenderer);
+CanvasStage.registerRenderer('particles', ParticleRenderer);
+
+CanvasStage.registerTransition('crossfade', CrossfadeTransition);
+CanvasStage.registerTransition('morph',     MorphTransition);
+CanvasStage.registerTransition('crt',       CrtTransition);
+CanvasStage.registerTransition('sakura',    SakuraTransition);
+
+CanvasStage.registerSprite('mothership', MothershipSprite);
@@ -0,0 +1,103 @@
+/**
+ * SPACE INVADERS — LANDING PAGE
+ * canvas-worker.js — Background canvas off the main thread
+ *
+ * CanvasEngine (script.js) transfers #bg-canvas here as an OffscreenCanvas
+ * and forwards the page's signals as messages:
+ *
+ *  page → worker   init       { canvas }                  — after 'ready'
+ *                  resize     { width, height, pixelRatio }
+ *                  renderer   { name, config }             — instant swap
+ *                             { name, config, transition, duration, id }
+ *                  quality    { tier }                    — index or null
+ *                  visibility { hidden }
+ *                  motion     { animated }                — reduced motion
+ *                  pointer    { x, y, active }            — CSS pixels
+ *                  pulse      { x, y }                    — click or tap
+ *                  spawn      { name, options }           — a registered sprite
+ *
+ *  worker → page   ready                                  — scripts loaded
+ *                  stats      { stats }                   — governor snapshot
+ *                  transition-end { id, completed }       — false if cut short
+ *                  error      { message }
+ */
+
+'use strict';
+
+importScripts('canvas-core.js');
+
+/** How often the governor snapshot is reported, in ms */
+const STATS_INTERVAL = 500;
+
+/** @type {CanvasStage|null} */
+let stage = null;
+
+/** Interval posting stats — only set while the stage runs */
+let statsTimer = null;
+
+function postStats() {
+  if (stage) self.postMessage({ type: 'stats', stats: stage.stats() });
+}
+
+/** Starts or stops the stats reports to match the stage: hidden or still, nothing changes */
+function syncStatsTimer() {
+  const running = !!stage && stage.running;
+  if (running && statsTimer === null) {
+    statsTimer = setInterval(postStats, STATS_INTERVAL);
+  } else if (!running && statsTimer !== null) {
+    clearInterval(statsTimer);
+    statsTimer = null;
+  }
+}
+
+self.addEventListener('message', ({ data }) => {
+  try {
+    switch (data.type) {
+      case 'init':
+        stage = new CanvasStage(data.canvas.getContext('2d'), {
+          onQuality: postStats,
+          onTransitionEnd: (id, completed) => self.postMessage({ type: 'transition-end', id, completed }),
+        });
+        break;
+      case 'resize':
+        stage.resize(data.width, data.height, data.pixelRatio);
+        break;
+      case 'renderer':
+        if (data.transition) {
+          stage.transitionTo(data.name, data.config, {
+            transition: data.transition,
+            duration:   data.duration,
+            easing:     data.easing,
+            id:         data.id,
+          });
+        } else {
+          stage.setRenderer(data.name, data.config);
+        }
+        break;
+      case 'quality':
+        stage.pinQuality(data.tier);
+        postStats();
+        break;
+      case 'visibility':
+        stage.setHidden(data.hidden);
+        break;
+      case 'motion':
+        stage.setAnimated(data.animated);
+        break;
+      case 'pointer':
+        stage.setPointer(data.x, data.y, data.active);
+        break;
+      case 'pulse':
+        stage.pulse(data.x, data.y);
+        break;
+      case 'spawn':
+        stage.spawn(data.name, data.options);
+        break;
+    }
+    syncStatsTimer();
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+});
+
+self.postMessage({ type: 'ready' });
@@ -2,15 +2,23 @@
  * SPACE INVADERS — LANDING PAGE
  * script.js — Production-grade JavaScript
  *
- * Architecture:
+ * Architecture (FrameClock, the renderers and CanvasStage: canvas-core.js):
+ *  ├── MotionPreferences — reduced-motion service (+ MotionPanel)
+ *  ├── Lifecycle      — suspends modules while hidden or off-screen
+ *  ├── EventBus       — typed app events (theme:*, viewport:resize, locale:change, content:change, gamepad:*)
+ *  ├── I18n           — catalogs, plurals, number formats (+ LanguageSwitcher)
+ *  ├── GamepadInput   — polls controllers onto the bus (+ GamepadNavigation)
  *  ├── ThemeManager   — Handles theme switching with smooth transitions
- *  ├── CanvasEngine   — requestAnimationFrame loop for background effects
- *  │     ├── StarfieldRenderer (retro)
- *  │     ├── OrbRenderer       (futuristic)
- *  │     └── ParticleRenderer  (anime)
- *  ├── UIBuilder      — Populates dynamic DOM elements
- *  ├── ScrollReveal   — IntersectionObserver for reveal animations
- *  └── StatCounter    — Animates stat numbers when in viewport
+ *  ├── SoundEngine    — synthesised chiptune effects (+ SoundControls)
+ *  ├── CanvasEngine   — Feeds the background CanvasStage, in a worker
+ *  │     │              (canvas-worker.js) when OffscreenCanvas allows
+ *  │     └── PerfOverlay (quality governor readout)
+ *  ├── UIBuilder      — Populates dynamic DOM elements (+ ContentManifest)
+ *  │     └── MiniInvaders (playable game in the gameplay screen)
+ *  ├── HighScores     — per-theme top 10 behind a ScoreStore (+ LeaderboardPanel)
+ *  ├── ScrollReveal   — data-reveal presets, stagger groups, replay on re-entry
+ *  ├── StatCounter    — Counts stat numbers up in view (units, easing, repeat)
+ *  └── KioskMode      — ?kiosk: self-running tour after an idle timeout
  */
 
 'use strict';
@@ -19,606 +27,4505 @@
   CONSTANTS & CONFIGURATION
    ========================================================================== */
 
-/** All theme identifiers */
-const THEMES = ['retro', 'futuristic', 'anime'];
-
-/** Canvas particle / star configurations per theme */
-const CANVAS_CONFIG = {
-  retro: {
-    starCount: 150,
-    starSpeed: 0.3,
-    starSizeMin: 0.5,
-    starSizeMax: 2,
-    color: '#00ff00',
-    glowColor: 'rgba(0,255,0,',
-    shootingStarInterval: 4000,
-    mode: 'starfield',
-  },
-  futuristic: {
-    orbCount: 60,
-    orbSpeed: 0.6,
-    color: '#00e5ff',
-    secondaryColor: '#7b2fff',
-    glowColor: 'rgba(0,229,255,',
-    connectionDist: 160,
-    mode: 'orbs',
-  },
-  anime: {
-    particleCount: 80,
-    particleSpeed: 0.8,
-    colors: ['#ff2dca', '#7a00ff', '#00e5ff', '#ff6bfe', '#c000ff'],
-    mode: 'particles',
-  },
+/** Playable mini-game tuning — distances in px, times in seconds */
+const MINI_GAME_CONFIG = {
+  rows: ['squid', 'crab', 'crab', 'octopus', 'octopus'],
+  cols: 7,
+  cellW: 12,
+  cellH: 10,
+  gapX: 8,
+  gapY: 6,
+  topMargin: 22,          // gap between HUD and the first alien row
+  sideMargin: 4,
+  stepX: 3,               // horizontal march step
+  stepY: 8,               // drop on every edge bounce
+  stepIntervalMax: 0.75,  // march interval with a full formation
+  stepIntervalMin: 0.04,  // march interval with one alien left
+  waveSpeedup: 0.88,      // interval multiplier per wave
+  maxWaveDrop: 5,         // each wave starts one step lower, up to this many
+  shipSpeed: 120,
+  bulletSpeed: 280,
+  bombSpeed: 80,
+  bombCooldown: [0.7, 1.8],
+  maxBombs: 2,
+  lives: 3,
+  shieldCols: 5,
+  shieldRows: 4,
+  ufoInterval: [15, 28],
+  ufoSpeed: 45,
+  ufoMinAliens: 8,        // no mystery ship once the formation is this thin
+  deathPause: 1.4,
+  wavePause: 1.8,
+  attractDelay: 10,       // idle time on GAME OVER before the demo resumes
+  initialsTimeout: 30,    // idle time on initials entry before it's taken as is
 };
 
+/**
+ * Default point values — UIBuilder reads the content manifest's alien
+ * cards over these, and each game keeps the table it started with
+ */
+const ALIEN_POINTS = { squid: 30, crab: 20, octopus: 10 };
+
+/**
+ * Mystery ship score table, indexed by player shot count.
+ * The 23rd shot and every 15th after it land on the 300.
+ */
+const UFO_POINTS = [100, 50, 50, 100, 150, 100, 100, 50, 300, 100, 100, 100, 50, 150, 100];
+
 /* ==========================================================================
-  THEME MANAGER
-  Manages data-theme attribute on <html>, coordinates transition animations,
-  updates button states, and signals the CanvasEngine to switch modes.
+  MOTION PREFERENCES
+  One place that decides how much the page may move. The OS-level
+  prefers-reduced-motion setting is the default; visitors can override it
+  wholesale ("reduce" / "full") and switch individual effects on or off from
+  the motion panel. Choices persist in localStorage under 'si-motion'.
+
+  Modules either ask at the moment they animate (allows() / reduced) or,
+  when they run continuously, subscribe with onChange() and stop or resume.
    ========================================================================== */
 
-class ThemeManager {
+/** Effects the motion panel can toggle individually, with their label's catalog key */
+const MOTION_FEATURES = {
+  parallax:   'motion.feature.parallax',
+  background: 'motion.feature.background',
+  glitch:     'motion.feature.glitch',
+  flashes:    'motion.feature.flashes',
+};
+
+/** Overall modes, in panel order, with their label's catalog key */
+const MOTION_MODES = {
+  system: 'motion.mode.system',
+  reduce: 'motion.mode.reduce',
+  full:   'motion.mode.full',
+};
+
+class MotionPreferences {
   constructor() {
-    /** @type {string} */
-    this.currentTheme = localStorage.getItem('si-theme') || 'retro';
+    this.query     = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.listeners = new Set();
 
-    this.htmlEl  = document.documentElement;
-    this.bodyEl  = document.body;
-    this.veilEl  = document.getElementById('theme-veil');
+    const stored = this._load();
+    /** @type {'system'|'reduce'|'full'} */
+    this.mode = stored.mode in MOTION_MODES ? stored.mode : 'system';
+    /** Per-feature choices; features missing here follow the mode */
+    this.features = {};
+    Object.keys(MOTION_FEATURES).forEach(feature => {
+      if (typeof stored.features?.[feature] === 'boolean') {
+        this.features[feature] = stored.features[feature];
+      }
+    });
 
-    /** All theme-switcher buttons (nav + footer) */
-    this.allBtns = document.querySelectorAll('[data-theme-target]');
+    this.query.addEventListener('change', () => this._notify());
+    this._reflect();
+  }
 
-    this._bindEvents();
-    this._applyTheme(this.currentTheme, false);
+  /** Whether motion is reduced overall — the visitor's mode wins over the OS */
+  get reduced() {
+    return this.mode === 'system' ? this.query.matches : this.mode === 'reduce';
   }
 
-  /** Attach click listeners to all theme buttons */
-  _bindEvents() {
-    this.allBtns.forEach(btn => {
-      btn.addEventListener('click', () => {
-        const target = btn.dataset.themeTarget;
-        if (target !== this.currentTheme) {
-          this.switchTo(target);
-        }
-      });
-    });
+  /**
+   * Whether a single effect may run
+   * @param {keyof MOTION_FEATURES} feature
+   */
+  allows(feature) {
+    return feature in this.features ? this.features[feature] : !this.reduced;
   }
 
   /**
-   * Public: Switch to a named theme with animation
-   * @param {string} theme
+   * Changes the overall mode; per-feature choices are cleared so every
+   * effect follows the new mode
+   * @param {'system'|'reduce'|'full'} mode
    */
-  switchTo(theme) {
-    if (!THEMES.includes(theme)) return;
-    this.currentTheme = theme;
-    localStorage.setItem('si-theme', theme);
-    this._animateTransition(theme);
+  setMode(mode) {
+    if (!(mode in MOTION_MODES)) throw new Error(`MotionPreferences: unknown mode "${mode}"`);
+    this.mode = mode;
+    this.features = {};
+    this._save();
+    this._notify();
   }
 
   /**
-   * Performs the flash-veil → apply → fade sequence
-   * 1. Flash veil on  (16ms)
-   * 2. Apply theme    (immediate DOM change during veil)
-   * 3. Flash veil off (300ms)
-   * 4. Body gets transition classes for smooth color interpolation
+   * @param {keyof MOTION_FEATURES} feature
+   * @param {boolean} enabled
    */
-  _animateTransition(theme) {
-    // Step 1: Add transitioning class so all CSS props animate
-    this.bodyEl.classList.add('theme-transitioning');
+  setFeature(feature, enabled) {
+    if (!(feature in MOTION_FEATURES)) throw new Error(`MotionPreferences: unknown feature "${feature}"`);
+    this.features[feature] = enabled;
+    this._save();
+    this._notify();
+  }
+
+  /**
+   * Calls fn() whenever the outcome of reduced / allows() may have changed
+   * @param {() => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  onChange(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
 
-    // Step 2: Flash veil
-    this.veilEl.classList.add('flash');
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem('si-motion')) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  _save() {
+    localStorage.setItem('si-motion', JSON.stringify({ mode: this.mode, features: this.features }));
+  }
 
-    // Step 3: Apply theme while partially obscured
-    setTimeout(() => {
-      this._applyTheme(theme, true);
-    }, 100);
+  _notify() {
+    this._reflect();
+    this.listeners.forEach(fn => fn());
+  }
 
-    // Step 4: Remove veil
-    setTimeout(() => {
-      this.veilEl.classList.remove('flash');
-    }, 320);
+  /** Mirrors an explicit mode onto <html> so the CSS reduced-motion rules follow it */
+  _reflect() {
+    const html = document.documentElement;
+    if (this.mode === 'system') delete html.dataset.motion;
+    else html.dataset.motion = this.mode;
+  }
+}
 
-    // Step 5: Remove transitioning class after all transitions complete
-    setTimeout(() => {
-      this.bodyEl.classList.remove('theme-transitioning');
-    }, 1100);
+/** Shared motion preferences for the page */
+const motionPrefs = new MotionPreferences();
+
+/**
+ * Nav popover with the motion mode and per-effect toggles.
+ * Controls are generated from MOTION_MODES / MOTION_FEATURES and always
+ * show the effective state, including changes to the OS setting.
+ */
+class MotionPanel {
+  constructor() {
+    this.toggleBtn = document.getElementById('motion-settings-toggle');
+    this.panel     = document.getElementById('motion-panel');
+    if (!this.toggleBtn || !this.panel) return;
+
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    const { signal } = this.events;
+
+    this._render();
+    this.stopSync = motionPrefs.onChange(() => this._sync());
+
+    this.toggleBtn.addEventListener('click', () => this.setOpen(this.panel.hidden), { signal });
+    this.panel.addEventListener('change', (e) => {
+      const input = e.target;
+      if (input.name === 'motion-mode') motionPrefs.setMode(input.value);
+      else if (input.dataset.feature) motionPrefs.setFeature(input.dataset.feature, input.checked);
+    }, { signal });
+
+    // Close on Escape or a click anywhere else
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !this.panel.hidden) {
+        this.setOpen(false);
+        this.toggleBtn.focus();
+      }
+    }, { signal });
+    document.addEventListener('click', (e) => {
+      if (!this.panel.hidden && !this.panel.contains(e.target) && !this.toggleBtn.contains(e.target)) {
+        this.setOpen(false);
+      }
+    }, { signal });
+  }
+
+  destroy() {
+    if (!this.events) return;
+    this.events.abort();
+    this.stopSync();
+    this.panel.replaceChildren();
+    this.setOpen(false);
+  }
+
+  /** @param {boolean} open */
+  setOpen(open) {
+    this.panel.hidden = !open;
+    this.toggleBtn.setAttribute('aria-expanded', String(open));
+  }
+
+  _render() {
+    const modes = document.createElement('fieldset');
+    modes.className = 'motion-group';
+    const modesLegend = document.createElement('legend');
+    modesLegend.dataset.i18n = 'motion.modes';
+    modes.appendChild(modesLegend);
+
+    Object.entries(MOTION_MODES).forEach(([mode, key]) => {
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'motion-mode';
+      input.value = mode;
+      modes.appendChild(this._labelled(input, key));
+    });
+
+    const effects = document.createElement('fieldset');
+    effects.className = 'motion-group';
+    const effectsLegend = document.createElement('legend');
+    effectsLegend.dataset.i18n = 'motion.effects';
+    effects.appendChild(effectsLegend);
+
+    Object.entries(MOTION_FEATURES).forEach(([feature, key]) => {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.dataset.feature = feature;
+      effects.appendChild(this._labelled(input, key));
+    });
+
+    this.panel.replaceChildren(modes, effects);
+    // Labels carry data-i18n, so later language switches reach them too
+    i18n.apply(this.panel);
+    this._sync();
+  }
+
+  _labelled(input, key) {
+    const label = document.createElement('label');
+    label.className = 'motion-option';
+    const span = document.createElement('span');
+    span.dataset.i18n = key;
+    label.append(input, span);
+    return label;
+  }
+
+  /** Reflect the effective preferences in the controls */
+  _sync() {
+    this.panel.querySelectorAll('input[name="motion-mode"]').forEach(input => {
+      input.checked = input.value === motionPrefs.mode;
+    });
+    this.panel.querySelectorAll('input[data-feature]').forEach(input => {
+      input.checked = motionPrefs.allows(input.dataset.feature);
+    });
+  }
+}
+
+/* ==========================================================================
+  LIFECYCLE
+  Suspends and resumes subsystems so nothing animates, ticks or chains
+  timeouts while it can't be seen: the tab is hidden (Page Visibility API)
+  or the element it draws into has scrolled off-screen (one shared
+  IntersectionObserver). Modules register with lifecycle.watch() and
+  release the handle in their destroy().
+   ========================================================================== */
+
+class Lifecycle {
+  constructor() {
+    this.pageHidden = document.hidden;
+    /** Every live registration */
+    this.watchers = new Set();
+    /** Observed element → registrations tracking it */
+    this.byElement = new Map();
+    /** Last reported on-screen state per observed element */
+    this.onScreen = new WeakMap();
+
+    this.observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        this.onScreen.set(entry.target, entry.isIntersecting);
+        const watchers = this.byElement.get(entry.target);
+        if (watchers) watchers.forEach(watcher => this._update(watcher));
+      });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      this.pageHidden = document.hidden;
+      this.watchers.forEach(watcher => this._update(watcher));
+    });
   }
 
   /**
-   * Applies a theme: sets data-theme, updates buttons, notifies engine
-   * @param {string} theme
-   * @param {boolean} notify — whether to signal CanvasEngine
+   * Calls resume() while the page is visible and — when given — the element
+   * is on screen, and suspend() when that stops being true. resume() runs
+   * straight away if the subsystem may already run; elements count as on
+   * screen until the observer first reports otherwise.
+   * @param {object}     opts
+   * @param {Element}    [opts.element] — only run while this is in the viewport
+   * @param {() => void} opts.resume
+   * @param {() => void} opts.suspend
+   * @returns {() => void} release — stops watching without calling suspend()
    */
-  _applyTheme(theme, notify) {
-    this.htmlEl.dataset.theme = theme;
-    this._updateButtons(theme);
+  watch({ element = null, resume, suspend }) {
+    const watcher = { element, resume, suspend, active: false };
+    this.watchers.add(watcher);
 
-    // Notify global CanvasEngine instance (created later)
-    if (notify && window.__canvasEngine) {
-      window.__canvasEngine.setTheme(theme);
+    if (element) {
+      if (!this.byElement.has(element)) {
+        this.byElement.set(element, new Set());
+        this.observer.observe(element);
+      }
+      this.byElement.get(element).add(watcher);
     }
-    if (notify && window.__animeParticles) {
-      window.__animeParticles.setTheme(theme);
+
+    this._update(watcher);
+    return () => this._release(watcher);
+  }
+
+  _release(watcher) {
+    this.watchers.delete(watcher);
+    const shared = watcher.element && this.byElement.get(watcher.element);
+    if (!shared) return;
+    shared.delete(watcher);
+    if (!shared.size) {
+      this.byElement.delete(watcher.element);
+      this.observer.unobserve(watcher.element);
     }
   }
 
-  /** Updates aria-pressed and active class on all theme buttons */
-  _updateButtons(theme) {
-    this.allBtns.forEach(btn => {
-      const isActive = btn.dataset.themeTarget === theme;
-      btn.classList.toggle('active', isActive);
-      btn.setAttribute('aria-pressed', String(isActive));
-    });
+  _update(watcher) {
+    const onScreen = !watcher.element || this.onScreen.get(watcher.element) !== false;
+    const active   = !this.pageHidden && onScreen;
+    if (active === watcher.active) return;
+    watcher.active = active;
+    active ? watcher.resume() : watcher.suspend();
   }
 }
 
+/** Shared lifecycle manager for the page */
+const lifecycle = new Lifecycle();
+
 /* ==========================================================================
-  CANVAS ENGINE
-  A single canvas element renders different effects depending on theme.
-  Uses a clean state machine pattern — only one render mode active at a time.
+  EVENT BUS
+  App-wide typed events, so modules don't reach into each other through
+  globals or poll <html data-theme>. The bus remembers the last payload of
+  each event, which lets modules created later catch up with { replay: true }
+  instead of depending on start-up order.
    ========================================================================== */
 
-class CanvasEngine {
-  constructor(canvasId) {
-    this.canvas  = document.getElementById(canvasId);
-    this.ctx     = this.canvas.getContext('2d');
-    this.theme   = document.documentElement.dataset.theme || 'retro';
-    this.rafId   = null;
-    this.running = true;
-
-    // Particle pools — pre-allocated to avoid GC pressure during animation
-    this.stars    = [];
-    this.orbs     = [];
-    this.particles = [];
-
-    this._resize();
-    this._buildPools();
-    this._startLoop();
+/**
+ * Payloads of every app event — emitting or subscribing to anything else throws.
+ * @typedef {object} AppEvents
+ * @property {{ theme: string, previous: string|null }} 'theme:change'
+ *           — <html data-theme> now shows `theme`
+ * @property {{ theme: string, previous: string, waitUntil: (work: Promise) => void }} 'theme:transition-start'
+ *           — the switch towards `theme` began; listeners with an animation of
+ *             their own pass its promise to waitUntil() and transition-end waits for it
+ * @property {{ theme: string }} 'theme:transition-end'
+ *           — CSS transitions have settled
+ * @property {{ width: number, height: number }} 'viewport:resize'
+ *           — debounced window resize
+ * @property {{ locale: string, previous: string, dir: 'ltr'|'rtl' }} 'locale:change'
+ *           — the visitor picked another language; the markup is already translated
+ * @property {{ url: string, version: number }} 'content:change'
+ *           — UIBuilder re-rendered the sections from a content manifest
+ * @property {{ index: number, id: string, pads: number }} 'gamepad:connect'
+ *           — a standard-mapping pad appeared; `pads` counts the connected ones
+ * @property {{ index: number, id: string, pads: number }} 'gamepad:disconnect'
+ * @property {{ index: number, button: string, pressed: boolean }} 'gamepad:button'
+ *           — a GAMEPAD_BUTTONS name went down or up (left stick included)
+ */
+const APP_EVENTS = [
+  'theme:change', 'theme:transition-start', 'theme:transition-end', 'viewport:resize',
+  'locale:change', 'content:change', 'gamepad:connect', 'gamepad:disconnect', 'gamepad:button',
+];
 
-    // Respond to window resize efficiently (debounced)
-    let resizeTimer;
-    window.addEventListener('resize', () => {
-      clearTimeout(resizeTimer);
-      resizeTimer = setTimeout(() => {
-        this._resize();
-        this._buildPools(); // Rebuild pools for new dimensions
-      }, 150);
-    });
+class EventBus {
+  /** @param {string[]} types — the only event names this bus accepts */
+  constructor(types) {
+    /** @type {Map<string, Set<Function>>} */
+    this.handlers = new Map(types.map(type => [type, new Set()]));
+    /** Last payload per event type */
+    this.latest = new Map();
+  }
 
-    // Register globally so ThemeManager can signal us
-    window.__canvasEngine = this;
+  /**
+   * @template {keyof AppEvents} K
+   * @param {K} type
+   * @param {(detail: AppEvents[K]) => void} fn
+   * @param {object} [opts]
+   * @param {boolean} [opts.replay] — call fn now with the last payload, if any
+   * @returns {() => void} unsubscribe
+   */
+  on(type, fn, { replay = false } = {}) {
+    this._handlersFor(type).add(fn);
+    if (replay && this.latest.has(type)) fn(this.latest.get(type));
+    return () => this.handlers.get(type).delete(fn);
   }
 
-  /** Sync canvas pixel dimensions to display size */
-  _resize() {
-    this.W = this.canvas.width  = window.innerWidth;
-    this.H = this.canvas.height = window.innerHeight;
+  /**
+   * @template {keyof AppEvents} K
+   * @param {K} type
+   * @param {AppEvents[K]} detail
+   */
+  emit(type, detail) {
+    const handlers = this._handlersFor(type);
+    this.latest.set(type, detail);
+    handlers.forEach(fn => fn(detail));
   }
 
   /**
-   * Builds all particle pools.
-   * Called on init and on resize — pools are cheap to rebuild.
+   * @template {keyof AppEvents} K
+   * @param {K} type
+   * @returns {AppEvents[K]|undefined} the last payload emitted
    */
-  _buildPools() {
-    this._buildStars();
-    this._buildOrbs();
-    this._buildParticlesPool();
+  last(type) {
+    this._handlersFor(type);
+    return this.latest.get(type);
   }
 
-  /* ---- STARFIELD (Retro) ---- */
-  _buildStars() {
-    const cfg = CANVAS_CONFIG.retro;
-    this.stars = Array.from({ length: cfg.starCount }, () => this._makestar());
-    // Shooting star state
-    this.shootingStar = null;
-    this.lastShootingStarTime = 0;
+  _handlersFor(type) {
+    const handlers = this.handlers.get(type);
+    if (!handlers) throw new Error(`EventBus: unknown event "${type}"`);
+    return handlers;
   }
+}
 
-  _makestar(fromTop = false) {
-    const cfg = CANVAS_CONFIG.retro;
-    return {
-      x:     Math.random() * this.W,
-      y:     fromTop ? 0 : Math.random() * this.H,
-      size:  cfg.starSizeMin + Math.random() * (cfg.starSizeMax - cfg.starSizeMin),
-      speed: cfg.starSpeed * (0.5 + Math.random()),
-      opacity: 0.3 + Math.random() * 0.7,
-      twinkle: Math.random() * Math.PI * 2,
-      twinkleSpeed: 0.02 + Math.random() * 0.04,
-    };
+/** The page's event bus */
+const appBus = new EventBus(APP_EVENTS);
+
+/* ==========================================================================
+  I18N
+  Message catalogs, plural rules and locale-aware numbers for the page's
+  own strings. Markup opts in with data-i18n="key" (text content) and
+  data-i18n-attr="attr:key, …" (attributes), with data-i18n-params='{…}'
+  for placeholders — apply() refreshes every such element, including ones
+  scripts create. Scripts call i18n.t() and re-render on 'locale:change'.
+  Section copy comes from per-language content manifests instead
+  (content.<locale>.json). The choice persists in localStorage under
+  'si-locale'; until there is one, the browser's languages decide.
+   ========================================================================== */
+
+/** Languages on offer: native name and writing direction */
+const LOCALES = {
+  en: { name: 'English', dir: 'ltr' },
+  ja: { name: '日本語',  dir: 'ltr' },
+  ar: { name: 'العربية', dir: 'rtl' },
+};
+
+/** Catalog every other one falls back to, key by key */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * A message is a string with {placeholders}, or — when it depends on a
+ * count — an object keyed by Intl.PluralRules category (zero, one, two,
+ * few, many, other; 'other' is required), picked by params.count.
+ */
+const I18N_CATALOGS = {
+  en: {
+    'page.title':      'Space Invaders — The Arcade Legend',
+    'nav.main':        'Main navigation',
+    'nav.home':        'Space Invaders home',
+    'nav.origin':      'Origin',
+    'nav.gameplay':    'Gameplay',
+    'nav.enemies':     'Enemies',
+    'nav.legacy':      'Legacy',
+    'nav.themes':      'Select visual theme',
+    'nav.menu':        'Open menu',
+    'nav.language':    'Language',
+    'sound.label':     'Sound',
+    'sound.on':        'Sound on',
+    'sound.off':       'Sound off',
+    'motion.settings': 'Motion settings',
+    'motion.modes':    'Motion',
+    'motion.effects':  'Effects',
+    'motion.mode.system':        'Follow system',
+    'motion.mode.reduce':        'Reduced',
+    'motion.mode.full':          'Full',
+    'motion.feature.parallax':   'Hero parallax',
+    'motion.feature.background': 'Background animation',
+    'motion.feature.glitch':     'Glitch text',
+    'motion.feature.flashes':    'Theme-switch flash',
+    'theme.retro.label':      'RETRO',
+    'theme.retro.title':      'Retro',
+    'theme.futuristic.label': 'FUTURE',
+    'theme.futuristic.title': '3D Futuristic',
+    'theme.anime.label':      'ANIME',
+    'theme.anime.title':      'Anime',
+    'theme.amber.label':      'AMBER',
+    'theme.amber.title':      'Amber Cabinet',
+    'theme.auto.label':       'AUTO',
+    'theme.auto.title':       'Automatic theme',
+    'theme.auto.current':     '{title} (currently {picked})',
+    'hero.kicker':      'INSERT COIN TO CONTINUE',
+    'hero.subtitle':    "The game that launched an industry. Tomohiro Nishikado's 1978 masterpiece that defined arcade gaming forever.",
+    'hero.pointValues': 'Original point values',
+    'hero.points':      '= {count} PTS',
+    'hero.play':        'PLAY NOW',
+    'hero.learn':       'LEARN MORE',
+    'hero.scroll':      'SCROLL DOWN',
+    'hero.tilt':        '📱 TILT TO LOOK AROUND',
+    'section.chapter':  '// CHAPTER {number}',
+    'story.title':      'The Origin Story',
+    'gameplay.title':   'Gameplay Mechanics',
+    'gameplay.screen':  'Playable Space Invaders. Press Enter to start, arrow keys to move, Space to fire, P to pause. On touch screens, tap to start and drag to steer.',
+    'hud.score':        'SCORE',
+    'hud.hiScore':      'HI-SCORE',
+    'hud.lives':        'LIVES',
+    'game.pressStart':   'PRESS START',
+    'game.startHint':    'CLICK, TAP OR ENTER',
+    'game.paused':       'PAUSED',
+    'game.resumeHint':   'P OR TAP TO RESUME',
+    'game.wave':         'WAVE {wave}',
+    'game.getReady':     'GET READY',
+    'game.over':         'GAME OVER',
+    'game.playAgain':    'PRESS START TO PLAY AGAIN',
+    'game.newHighScore': 'NEW HIGH SCORE',
+    'game.score':        'SCORE {score}',
+    'game.initialsHint': '↑↓ LETTER · ENTER NEXT',
+    'game.ranked':       '{initials} RANKED #{rank}',
+    'leaderboard.title':    'High Scores',
+    'leaderboard.themes':   'Theme',
+    'leaderboard.top':      'Top 10',
+    'leaderboard.export':   'Export',
+    'leaderboard.import':   'Import',
+    'leaderboard.exported': 'SCORES EXPORTED',
+    'leaderboard.imported': { one: 'IMPORTED {count} SCORE', other: 'IMPORTED {count} SCORES' },
+    'leaderboard.importFailed':         'IMPORT FAILED',
+    'leaderboard.importError.format':   'NOT A SCORES FILE',
+    'leaderboard.importError.version':  'UNSUPPORTED FILE VERSION {version}',
+    'leaderboard.importError.initials': 'BAD INITIALS IN ENTRY {entry} ({table})',
+    'leaderboard.importError.score':    'BAD SCORE IN ENTRY {entry} ({table})',
+    'leaderboard.importError.date':     'BAD DATE IN ENTRY {entry} ({table})',
+    'aliens.title':     'The Invaders',
+    'aliens.subtitle':  'Four distinct classes of enemy, each with their own point value and animation cycle.',
+    'aliens.points':    '{count} pts',
+    'legacy.title':     'The Legacy',
+    'cta.line1':        'DEFEND',
+    'cta.line2':        'EARTH.',
+    'cta.subtitle':     'Join millions of players who answered the call. The invasion never stops — neither should you.',
+    'cta.start':        'START GAME',
+    'cta.enemies':      'VIEW ENEMIES',
+    'footer.nav':       'Footer navigation',
+    'footer.credit':    'Originally created by Tomohiro Nishikado, 1978',
+    'footer.themes':    'Switch Theme:',
+    'footer.copyright': '© 2024 Space Invaders Landing Page. Built as a frontend demonstration. Space Invaders® is a trademark of Taito Corporation.',
+    'achievements.label':  'Secrets found',
+    'achievements.panel':  'Secrets',
+    'achievements.locked': '??? — {hint}',
+    'cheat.konami.label':   'Konami Code',
+    'cheat.konami.hint':    'Thirty lives, one famous sequence',
+    'cheat.konami.message': '🎮 KONAMI CODE ACTIVATED! 👾',
+    'cheat.ufo.label':      'Close Encounter',
+    'cheat.ufo.hint':       'Name the thing worth 300 points',
+    'cheat.negative.label': 'Negative Zone',
+    'cheat.negative.hint':  'Turn the world upside down — well, inside out',
+    'cheat.amber.label':    'Amber Cabinet',
+    'cheat.amber.hint':     'The year it all began',
+    'gamepad.ready':    '🎮 CONTROLLER READY — D-PAD: SECTIONS · LB/RB: THEME · A: PLAY',
+    'gamepad.gone':     '🎮 CONTROLLER DISCONNECTED',
+    'console.theme':    'Theme: {theme}',
+    'console.canvas':   'Canvas: Active',
+    'console.cheats':   'Try the Konami Code: ↑↑↓↓←→←→BA — and find the other secrets',
+  },
+
+  ja: {
+    'page.title':      'スペースインベーダー — アーケードの伝説',
+    'nav.main':        'メインナビゲーション',
+    'nav.home':        'スペースインベーダー ホーム',
+    'nav.origin':      '起源',
+    'nav.gameplay':    'ゲームプレイ',
+    'nav.enemies':     '敵',
+    'nav.legacy':      'レガシー',
+    'nav.themes':      'テーマを選択',
+    'nav.menu':        'メニューを開く',
+    'nav.language':    '言語',
+    'sound.label':     'サウンド',
+    'sound.on':        'サウンド オン',
+    'sound.off':       'サウンド オフ',
+    'motion.settings': 'モーション設定',
+    'motion.modes':    'モーション',
+    'motion.effects':  'エフェクト',
+    'motion.mode.system':        'システムに従う',
+    'motion.mode.reduce':        '控えめ',
+    'motion.mode.full':          'フル',
+    'motion.feature.parallax':   'ヒーローのパララックス',
+    'motion.feature.background': '背景アニメーション',
+    'motion.feature.glitch':     'グリッチ文字',
+    'motion.feature.flashes':    'テーマ切替のフラッシュ',
+    'theme.retro.label':      'レトロ',
+    'theme.retro.title':      'レトロ',
+    'theme.futuristic.label': '未来',
+    'theme.futuristic.title': '3D フューチャリスティック',
+    'theme.anime.label':      'アニメ',
+    'theme.anime.title':      'アニメ',
+    'theme.amber.label':      'アンバー',
+    'theme.amber.title':      'アンバー筐体',
+    'theme.auto.label':       'オート',
+    'theme.auto.title':       '自動テーマ',
+    'theme.auto.current':     '{title}（現在: {picked}）',
+    'hero.kicker':      'コインを入れてください',
+    'hero.subtitle':    '産業を生んだゲーム。西角友宏が1978年に生み出し、アーケードゲームを永遠に定義した傑作。',
+    'hero.pointValues': 'オリジナルの得点',
+    'hero.points':      '= {count} 点',
+    'hero.play':        '今すぐプレイ',
+    'hero.learn':       'もっと知る',
+    'hero.scroll':      'スクロール',
+    'hero.tilt':        '📱 傾けて見回す',
+    'section.chapter':  '// 第{number}章',
+    'story.title':      '誕生の物語',
+    'gameplay.title':   'ゲームの仕組み',
+    'gameplay.screen':  'プレイできるスペースインベーダー。Enter で開始、矢印キーで移動、スペースで発射、P で一時停止。タッチ画面ではタップで開始、ドラッグで操作。',
+    'hud.score':        'スコア',
+    'hud.hiScore':      'ハイスコア',
+    'hud.lives':        '残機',
+    'game.pressStart':   'スタートを押せ',
+    'game.startHint':    'クリック・タップ・ENTER',
+    'game.paused':       '一時停止',
+    'game.resumeHint':   'P かタップで再開',
+    'game.wave':         'ウェーブ {wave}',
+    'game.getReady':     '準備はいいか',
+    'game.over':         'ゲームオーバー',
+    'game.playAgain':    'スタートでもう一度',
+    'game.newHighScore': 'ハイスコア更新',
+    'game.score':        'スコア {score}',
+    'game.initialsHint': '↑↓ 文字 · ENTER 次へ',
+    'game.ranked':       '{initials} は {rank} 位',
+    'leaderboard.title':    'ハイスコア',
+    'leaderboard.themes':   'テーマ',
+    'leaderboard.top':      'トップ10',
+    'leaderboard.export':   '書き出し',
+    'leaderboard.import':   '読み込み',
+    'leaderboard.exported': 'スコアを書き出しました',
+    'leaderboard.imported': { other: '{count} 件のスコアを読み込みました' },
+    'leaderboard.importFailed':         '読み込みに失敗しました',
+    'leaderboard.importError.format':   'スコアのファイルではありません',
+    'leaderboard.importError.version':  '未対応のファイル形式です (バージョン {version})',
+    'leaderboard.importError.initials': '{table} の {entry} 件目: イニシャルが不正です',
+    'leaderboard.importError.score':    '{table} の {entry} 件目: スコアが不正です',
+    'leaderboard.importError.date':     '{table} の {entry} 件目: 日付が不正です',
+    'aliens.title':     'インベーダーたち',
+    'aliens.subtitle':  '4種類の敵。それぞれ得点とアニメーションが異なる。',
+    'aliens.points':    '{count} 点',
+    'legacy.title':     'レガシー',
+    'cta.line1':        '地球を',
+    'cta.line2':        '守れ。',
+    'cta.subtitle':     '呼びかけに応えた何百万人ものプレイヤーに加わろう。侵略は止まらない — 君も止まるな。',
+    'cta.start':        'ゲーム開始',
+    'cta.enemies':      '敵を見る',
+    'footer.nav':       'フッターナビゲーション',
+    'footer.credit':    '原作: 西角友宏（1978年）',
+    'footer.themes':    'テーマ切替:',
+    'footer.copyright': '© 2024 Space Invaders Landing Page. フロントエンドのデモとして制作。Space Invaders® は株式会社タイトーの商標です。',
+    'achievements.label':  '見つけた秘密',
+    'achievements.panel':  '秘密',
+    'achievements.locked': '??? — {hint}',
+    'cheat.konami.label':   'コナミコマンド',
+    'cheat.konami.hint':    '残機30、あの有名な入力',
+    'cheat.konami.message': '🎮 コナミコマンド発動！ 👾',
+    'cheat.ufo.label':      '未知との遭遇',
+    'cheat.ufo.hint':       '300点の価値があるものの名前を (英語で)',
+    'cheat.negative.label': 'ネガティブゾーン',
+    'cheat.negative.hint':  '世界をひっくり返せ (英語で)',
+    'cheat.amber.label':    'アンバー筐体',
+    'cheat.amber.hint':     'すべてが始まった年',
+    'gamepad.ready':    '🎮 コントローラー接続 — 十字キー: セクション · LB/RB: テーマ · A: プレイ',
+    'gamepad.gone':     '🎮 コントローラー切断',
+    'console.theme':    'テーマ: {theme}',
+    'console.canvas':   'キャンバス: 動作中',
+    'console.cheats':   'コナミコマンドを試そう: ↑↑↓↓←→←→BA — ほかの秘密も探してみて',
+  },
+
+  ar: {
+    'page.title':      'سبيس إنفيدرز — أسطورة الأركيد',
+    'nav.main':        'التنقل الرئيسي',
+    'nav.home':        'الصفحة الرئيسية لسبيس إنفيدرز',
+    'nav.origin':      'البداية',
+    'nav.gameplay':    'طريقة اللعب',
+    'nav.enemies':     'الأعداء',
+    'nav.legacy':      'الإرث',
+    'nav.themes':      'اختر المظهر',
+    'nav.menu':        'افتح القائمة',
+    'nav.language':    'اللغة',
+    'sound.label':     'الصوت',
+    'sound.on':        'الصوت مفعّل',
+    'sound.off':       'الصوت مكتوم',
+    'motion.settings': 'إعدادات الحركة',
+    'motion.modes':    'الحركة',
+    'motion.effects':  'المؤثرات',
+    'motion.mode.system':        'حسب النظام',
+    'motion.mode.reduce':        'مخفّفة',
+    'motion.mode.full':          'كاملة',
+    'motion.feature.parallax':   'عمق الواجهة المتحرك',
+    'motion.feature.background': 'تحريك الخلفية',
+    'motion.feature.glitch':     'النص المتشوّش',
+    'motion.feature.flashes':    'وميض تبديل المظهر',
+    'theme.retro.label':      'كلاسيكي',
+    'theme.retro.title':      'كلاسيكي',
+    'theme.futuristic.label': 'مستقبلي',
+    'theme.futuristic.title': 'مستقبلي ثلاثي الأبعاد',
+    'theme.anime.label':      'أنمي',
+    'theme.anime.title':      'أنمي',
+    'theme.amber.label':      'كهرماني',
+    'theme.amber.title':      'الشاشة الكهرمانية',
+    'theme.auto.label':       'تلقائي',
+    'theme.auto.title':       'مظهر تلقائي',
+    'theme.auto.current':     '{title} (حاليًا {picked})',
+    'hero.kicker':      'أدخل عملة للمتابعة',
+    'hero.subtitle':    'اللعبة التي أطلقت صناعة كاملة. تحفة توموهيرو نيشيكادو لعام 1978 التي رسمت ملامح ألعاب الأركيد إلى الأبد.',
+    'hero.pointValues': 'قيم النقاط الأصلية',
+    'hero.points':      { few: '= {count} نقاط', other: '= {count} نقطة' },
+    'hero.play':        'العب الآن',
+    'hero.learn':       'اعرف المزيد',
+    'hero.scroll':      'مرّر للأسفل',
+    'hero.tilt':        '📱 أمِل الجهاز لتتلفّت حولك',
+    'section.chapter':  '// الفصل {number}',
+    'story.title':      'قصة البداية',
+    'gameplay.title':   'آليات اللعب',
+    'gameplay.screen':  'نسخة قابلة للعب من سبيس إنفيدرز. اضغط Enter للبدء، والأسهم للتحرك، والمسافة لإطلاق النار، وP للإيقاف المؤقت. على شاشات اللمس، المس للبدء واسحب للتوجيه.',
+    'hud.score':        'النقاط',
+    'hud.hiScore':      'الأعلى',
+    'hud.lives':        'الأرواح',
+    'game.pressStart':   'اضغط ابدأ',
+    'game.startHint':    'انقر أو المس أو Enter',
+    'game.paused':       'إيقاف مؤقت',
+    'game.resumeHint':   'P أو المس للمتابعة',
+    'game.wave':         'الموجة {wave}',
+    'game.getReady':     'استعد',
+    'game.over':         'انتهت اللعبة',
+    'game.playAgain':    'اضغط ابدأ للعب مجددًا',
+    'game.newHighScore': 'نتيجة قياسية جديدة',
+    'game.score':        'النقاط {score}',
+    'game.initialsHint': '↑↓ حرف · Enter التالي',
+    'game.ranked':       '{initials} في المرتبة {rank}',
+    'leaderboard.title':    'أعلى النتائج',
+    'leaderboard.themes':   'المظهر',
+    'leaderboard.top':      'أفضل 10',
+    'leaderboard.export':   'تصدير',
+    'leaderboard.import':   'استيراد',
+    'leaderboard.exported': 'تم تصدير النتائج',
+    'leaderboard.imported': {
+      zero:  'لم تُستورد أي نتيجة',
+      one:   'تم استيراد نتيجة واحدة',
+      two:   'تم استيراد نتيجتين',
+      few:   'تم استيراد {count} نتائج',
+      many:  'تم استيراد {count} نتيجة',
+      other: 'تم استيراد {count} نتيجة',
+    },
+    'leaderboard.importFailed':         'فشل الاستيراد',
+    'leaderboard.importError.format':   'هذا ليس ملف نتائج',
+    'leaderboard.importError.version':  'إصدار ملف غير مدعوم ({version})',
+    'leaderboard.importError.initials': 'أحرف أولى غير صالحة في الإدخال {entry} ({table})',
+    'leaderboard.importError.score':    'نتيجة غير صالحة في الإدخال {entry} ({table})',
+    'leaderboard.importError.date':     'تاريخ غير صالح في الإدخال {entry} ({table})',
+    'aliens.title':     'الغزاة',
+    'aliens.subtitle':  'أربع فئات من الأعداء، لكلٍّ منها قيمة نقاط ودورة حركة خاصة.',
+    'aliens.points':    { few: '{count} نقاط', other: '{count} نقطة' },
+    'legacy.title':     'الإرث',
+    'cta.line1':        'دافِع عن',
+    'cta.line2':        'الأرض.',
+    'cta.subtitle':     'انضم إلى ملايين اللاعبين الذين لبّوا النداء. الغزو لا يتوقف أبدًا — فلا تتوقف أنت أيضًا.',
+    'cta.start':        'ابدأ اللعب',
+    'cta.enemies':      'شاهد الأعداء',
+    'footer.nav':       'تنقل التذييل',
+    'footer.credit':    'من ابتكار توموهيرو نيشيكادو، 1978',
+    'footer.themes':    'بدّل المظهر:',
+    'footer.copyright': '© 2024 صفحة Space Invaders التعريفية، أُنشئت عرضًا توضيحيًا للواجهة الأمامية. Space Invaders® علامة تجارية لشركة Taito.',
+    'achievements.label':  'الأسرار المكتشفة',
+    'achievements.panel':  'الأسرار',
+    'achievements.locked': '؟؟؟ — {hint}',
+    'cheat.konami.label':   'شفرة كونامي',
+    'cheat.konami.hint':    'ثلاثون حياة وتسلسل شهير',
+    'cheat.konami.message': '🎮 تم تفعيل شفرة كونامي! 👾',
+    'cheat.ufo.label':      'لقاء قريب',
+    'cheat.ufo.hint':       'اكتب بالإنجليزية اسم الشيء الذي يساوي 300 نقطة',
+    'cheat.negative.label': 'المنطقة السالبة',
+    'cheat.negative.hint':  'اقلب العالم بالإنجليزية — من الداخل إلى الخارج',
+    'cheat.amber.label':    'الشاشة الكهرمانية',
+    'cheat.amber.hint':     'السنة التي بدأ فيها كل شيء',
+    'gamepad.ready':    '🎮 وحدة التحكم جاهزة — الأسهم: الأقسام · LB/RB: المظهر · A: العب',
+    'gamepad.gone':     '🎮 انفصلت وحدة التحكم',
+    'console.theme':    'المظهر: {theme}',
+    'console.canvas':   'اللوحة: تعمل',
+    'console.cheats':   'جرّب شفرة كونامي: ↑↑↓↓←→←→BA — واكتشف بقية الأسرار',
+  },
+};
+
+class I18n {
+  constructor() {
+    this.locale = this._resolve();
+    /** Intl.NumberFormat per options, for the current locale */
+    this.numberFormats = new Map();
+    this.pluralRules   = null;
+    /** Keys already reported missing, so the console isn't flooded */
+    this.missing = new Set();
+    this._reflect();
   }
 
-  _updateStars(now) {
-    const cfg = CANVAS_CONFIG.retro;
-    this.stars.forEach(s => {
-      s.y      += s.speed;
-      s.twinkle += s.twinkleSpeed;
-      s.opacity = 0.3 + 0.4 * Math.abs(Math.sin(s.twinkle));
-      if (s.y > this.H) Object.assign(s, this._makestar(true));
-    });
-
-    // Occasional shooting star
-    if (now - this.lastShootingStarTime > CANVAS_CONFIG.retro.shootingStarInterval) {
-      this.lastShootingStarTime = now;
-      this.shootingStar = {
-        x:  Math.random() * this.W,
-        y:  Math.random() * (this.H * 0.4),
-        dx: 4 + Math.random() * 4,
-        dy: 2 + Math.random() * 2,
-        len: 80 + Math.random() * 80,
-        life: 1,
-      };
-    }
-    if (this.shootingStar) {
-      const ss = this.shootingStar;
-      ss.x    += ss.dx;
-      ss.y    += ss.dy;
-      ss.life -= 0.03;
-      if (ss.life <= 0 || ss.x > this.W || ss.y > this.H) {
-        this.shootingStar = null;
-      }
+  /** The stored choice, else the first of the browser's languages on offer */
+  _resolve() {
+    const stored = localStorage.getItem('si-locale');
+    if (stored in LOCALES) return stored;
+    const wanted = navigator.languages || [navigator.language];
+    for (const tag of wanted) {
+      const base = String(tag).toLowerCase().split('-')[0];
+      if (base in LOCALES) return base;
     }
+    return DEFAULT_LOCALE;
+  }
+
+  /** 'ltr' or 'rtl' */
+  get dir() {
+    return LOCALES[this.locale].dir;
   }
 
-  _drawStars() {
-    const cfg = CANVAS_CONFIG.retro;
-    this.stars.forEach(s => {
-      this.ctx.beginPath();
-      // Pixel-style squares for retro look
-      this.ctx.fillStyle = `rgba(0,255,0,${s.opacity})`;
-      this.ctx.fillRect(s.x, s.y, s.size, s.size);
+  /** Whether a key exists in the current or the default catalog */
+  has(key) {
+    return key in I18N_CATALOGS[this.locale] || key in I18N_CATALOGS[DEFAULT_LOCALE];
+  }
+
+  /**
+   * Public: a message in the current language. Number params are
+   * formatted for the locale; plural messages pick their form by
+   * params.count. An unknown key comes back as the key itself.
+   * @param {string} key
+   * @param {Object<string, string|number>} [params]
+   * @returns {string}
+   */
+  t(key, params = {}) {
+    let message = I18N_CATALOGS[this.locale][key] ?? I18N_CATALOGS[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+      if (!this.missing.has(key)) console.warn(`I18n: no message for "${key}"`);
+      this.missing.add(key);
+      return key;
+    }
+    if (typeof message === 'object') {
+      message = message[this._plurals().select(params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === 'number' ? this.number(value) : String(value);
     });
+  }
 
-    // Shooting star
-    if (this.shootingStar) {
-      const ss = this.shootingStar;
-      const grad = this.ctx.createLinearGradient(
-        ss.x, ss.y,
-        ss.x - ss.dx * (ss.len / 5),
-        ss.y - ss.dy * (ss.len / 5)
-      );
-      grad.addColorStop(0, `rgba(0,255,0,${ss.life})`);
-      grad.addColorStop(1, 'rgba(0,255,0,0)');
-      this.ctx.beginPath();
-      this.ctx.strokeStyle = grad;
-      this.ctx.lineWidth = 1.5;
-      this.ctx.moveTo(ss.x, ss.y);
-      this.ctx.lineTo(ss.x - ss.dx * (ss.len / 5), ss.y - ss.dy * (ss.len / 5));
-      this.ctx.stroke();
-    }
-  }
-
-  /* ---- ORBITING NODES (Futuristic) ---- */
-  _buildOrbs() {
-    const cfg = CANVAS_CONFIG.futuristic;
-    this.orbs = Array.from({ length: cfg.orbCount }, () => ({
-      x:   Math.random() * this.W,
-      y:   Math.random() * this.H,
-      vx:  (Math.random() - 0.5) * cfg.orbSpeed,
-      vy:  (Math.random() - 0.5) * cfg.orbSpeed,
-      r:   1 + Math.random() * 2.5,
-      hue: Math.random() > 0.5 ? 0 : 1, // 0=cyan, 1=purple
-    }));
+  /**
+   * Public: formats a number for the current locale
+   * @param {number} value
+   * @param {Intl.NumberFormatOptions} [options]
+   */
+  number(value, options = {}) {
+    const key = JSON.stringify(options);
+    if (!this.numberFormats.has(key)) {
+      this.numberFormats.set(key, new Intl.NumberFormat(this.locale, options));
+    }
+    return this.numberFormats.get(key).format(value);
   }
 
-  _updateOrbs() {
-    const cfg = CANVAS_CONFIG.futuristic;
-    this.orbs.forEach(o => {
-      o.x += o.vx;
-      o.y += o.vy;
-      // Wrap around edges
-      if (o.x < -10)       o.x = this.W + 10;
-      if (o.x > this.W+10) o.x = -10;
-      if (o.y < -10)       o.y = this.H + 10;
-      if (o.y > this.H+10) o.y = -10;
+  /**
+   * Public: switches language, re-translates the markup and tells
+   * everyone else through 'locale:change'
+   * @param {string} locale — a key of LOCALES
+   */
+  setLocale(locale) {
+    if (!(locale in LOCALES)) throw new Error(`I18n: unknown locale "${locale}"`);
+    if (locale === this.locale) return;
+    const previous = this.locale;
+    this.locale = locale;
+    this.numberFormats.clear();
+    this.pluralRules = null;
+    localStorage.setItem('si-locale', locale);
+
+    this._reflect();
+    this.apply();
+    appBus.emit('locale:change', { locale, previous, dir: this.dir });
+  }
+
+  /**
+   * Public: translates every data-i18n / data-i18n-attr element in root
+   * @param {ParentNode} [root]
+   */
+  apply(root = document) {
+    if (root === document) document.title = this.t('page.title');
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = this.t(el.dataset.i18n, this._params(el));
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+      el.dataset.i18nAttr.split(',').forEach(pair => {
+        const [attr, key] = pair.split(':').map(part => part.trim());
+        el.setAttribute(attr, this.t(key, this._params(el)));
+      });
     });
   }
 
-  _drawOrbs() {
-    const cfg = CANVAS_CONFIG.futuristic;
-    const ctx = this.ctx;
+  _params(el) {
+    if (!el.dataset.i18nParams) return {};
+    try {
+      return JSON.parse(el.dataset.i18nParams);
+    } catch (err) {
+      console.warn('I18n: bad data-i18n-params on', el, err);
+      return {};
+    }
+  }
 
-    // Draw connection lines first (behind nodes)
-    for (let i = 0; i < this.orbs.length; i++) {
-      for (let j = i + 1; j < this.orbs.length; j++) {
-        const a = this.orbs[i], b = this.orbs[j];
-        const dx = a.x - b.x, dy = a.y - b.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < cfg.connectionDist) {
-          const alpha = (1 - dist / cfg.connectionDist) * 0.25;
-          ctx.beginPath();
-          ctx.strokeStyle = `rgba(0,229,255,${alpha})`;
-          ctx.lineWidth = 0.5;
-          ctx.moveTo(a.x, a.y);
-          ctx.lineTo(b.x, b.y);
-          ctx.stroke();
-        }
-      }
+  /** <html lang dir> follow the locale — CSS flips layout off [dir] */
+  _reflect() {
+    document.documentElement.lang = this.locale;
+    document.documentElement.dir  = this.dir;
+  }
+
+  _plurals() {
+    if (!this.pluralRules) this.pluralRules = new Intl.PluralRules(this.locale);
+    return this.pluralRules;
+  }
+}
+
+/** The page's translator */
+const i18n = new I18n();
+
+/**
+ * The language <select> beside the theme switcher. Also follows a choice
+ * made in another tab, the way ThemeManager does for 'si-theme'.
+ */
+class LanguageSwitcher {
+  constructor() {
+    this.select = document.getElementById('language-select');
+
+    // Markup ships in English — bring it in line with the chosen language
+    i18n.apply();
+
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    const { signal } = this.events;
+
+    if (this.select) {
+      this.select.replaceChildren(...Object.entries(LOCALES).map(([locale, { name }]) => {
+        const option = document.createElement('option');
+        option.value = locale;
+        option.lang  = locale;
+        option.textContent = name;
+        return option;
+      }));
+      this.select.value = i18n.locale;
+      this.select.addEventListener('change', () => i18n.setLocale(this.select.value), { signal });
     }
 
-    // Draw orb nodes with glow
-    this.orbs.forEach(o => {
-      const color = o.hue === 0 ? [0, 229, 255] : [123, 47, 255];
-      ctx.beginPath();
-      ctx.arc(o.x, o.y, o.r, 0, Math.PI * 2);
-      ctx.fillStyle = `rgba(${color[0]},${color[1]},${color[2]},0.85)`;
-      ctx.shadowColor = `rgba(${color[0]},${color[1]},${color[2]},0.8)`;
-      ctx.shadowBlur = 10;
-      ctx.fill();
-      ctx.shadowBlur = 0;
+    window.addEventListener('storage', (e) => {
+      if (e.key === 'si-locale' && e.newValue in LOCALES) i18n.setLocale(e.newValue);
+    }, { signal });
+
+    this.stopLocaleWatch = appBus.on('locale:change', ({ locale }) => {
+      if (this.select) this.select.value = locale;
+    });
+  }
+
+  destroy() {
+    this.events.abort();
+    this.stopLocaleWatch();
+  }
+}
+
+// One debounced resize listener for the whole page
+let viewportTimer = null;
+window.addEventListener('resize', () => {
+  clearTimeout(viewportTimer);
+  viewportTimer = setTimeout(() => {
+    appBus.emit('viewport:resize', { width: window.innerWidth, height: window.innerHeight });
+  }, 150);
+});
+
+/* ==========================================================================
+  THEME REGISTRY
+  Single source of truth for the available looks. A theme bundles its
+  switcher button (label + icon), CSS custom properties, the character art
+  variant to show and the canvas renderer with its config. Seasonal
+  themes register from their own script — no core edits needed:
+
+    ThemeRegistry.register({
+      id: 'amber', label: 'AMBER', title: 'CRT Amber', icon: '🟠',
+      variant: 'retro',
+      vars: { '--clr-primary': '#ffb000', '--clr-text': '#ffb000' },
+      canvas: { renderer: 'starfield', starCount: 150, glowColor: 'rgba(255,176,0,' },
     });
+
+  How the background moves from one theme to the next is picked per pair,
+  with '*' standing for any theme:
+
+    ThemeRegistry.setTransition('amber', '*', 'crt');
+   ========================================================================== */
+
+/** Switcher value and stored preference for "pick a theme for me" */
+const AUTO_THEME = 'auto';
+
+/**
+ * @param {number} hour
+ * @param {[number, number]} range — [from, to), wrapping past midnight when from > to
+ */
+function hourInRange(hour, [from, to]) {
+  return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+class ThemeRegistry {
+  /** @type {Map<string, object>} */
+  static themes = new Map();
+  static listeners = [];
+  /** @type {Map<string, string>} 'from>to' → CanvasStage transition name */
+  static transitions = new Map();
+
+  /**
+   * Registers (or replaces) a theme.
+   * @param {object}  def
+   * @param {string}  def.id       — value of <html data-theme>, e.g. 'vaporwave'
+   * @param {string}  def.label    — short switcher label
+   * @param {string}  [def.title]  — tooltip / accessible name, defaults to label
+   * @param {string}  def.icon     — emoji or short text shown on the buttons
+   * @param {Object<string,string>} [def.vars] — CSS custom properties for [data-theme=id]
+   * @param {string}  [def.variant] — which .v-* character art to show (default 'retro')
+   * @param {object}  def.canvas   — renderer config; `renderer` is the name of a
+   *                                 renderer registered in canvas-core.js, so the
+   *                                 worker has it too (classes can't be sent there)
+   * @param {object}  [def.auto]   — hints for automatic theme selection:
+   *   `contrast: 'more'`, `scheme: 'light'` and/or `hours: [from, to]`
+   *   (local 0–23, may wrap past midnight) — see pickAuto()
+   * @param {object}  [def.sound]  — sound palette, merged over
+   *                                 SOUND_PALETTE_DEFAULTS — see SoundEngine
+   */
+  static register(def) {
+    if (!def || !/^[a-z][a-z0-9-]*$/.test(def.id || '') || def.id === AUTO_THEME) {
+      throw new Error(`ThemeRegistry: invalid theme id "${def && def.id}"`);
+    }
+    if (!def.label || !def.icon) {
+      throw new Error(`ThemeRegistry: theme "${def.id}" needs a label and an icon`);
+    }
+    if (!def.canvas || typeof def.canvas.renderer !== 'string') {
+      throw new Error(`ThemeRegistry: theme "${def.id}" needs a canvas.renderer name`);
+    }
+    const hours = def.auto && def.auto.hours;
+    if (hours && !(hours.length === 2 && hours.every(h => Number.isInteger(h) && h >= 0 && h <= 23))) {
+      throw new Error(`ThemeRegistry: theme "${def.id}" auto.hours must be [from, to] in 0–23`);
+    }
+
+    const theme = {
+      title:   def.label,
+      variant: 'retro',
+      vars:    {},
+      auto:    {},
+      ...def,
+    };
+    this.themes.set(theme.id, theme);
+    this._injectStyles(theme);
+    this.listeners.forEach(fn => fn(theme));
+    return theme;
+  }
+
+  /** @returns {object|undefined} */
+  static get(id) {
+    return this.themes.get(id);
+  }
+
+  static has(id) {
+    return this.themes.has(id);
+  }
+
+  /** Registered themes in registration order */
+  static list() {
+    return [...this.themes.values()];
+  }
+
+  /**
+   * A theme's label or title in the current language — the catalog's
+   * theme.<id>.<field> when it has one, else what the definition says,
+   * so themes registered at runtime need no translations.
+   * @param {object} def — a registered theme or AUTO_THEME_OPTION
+   * @param {'label'|'title'} field
+   */
+  static text(def, field) {
+    const key = `theme.${def.id}.${field}`;
+    return i18n.has(key) ? i18n.t(key) : def[field];
+  }
+
+  /** The first registered theme — used when nothing valid is stored */
+  static defaultId() {
+    return this.themes.keys().next().value;
+  }
+
+  /**
+   * Picks the theme for auto mode. First match wins: a theme hinting
+   * `contrast: 'more'` for visitors who want more contrast, one hinting
+   * `scheme: 'light'` for light-scheme visitors, then the theme whose
+   * `hours` cover the current hour, then the default.
+   * @param {object}  ctx
+   * @param {boolean} [ctx.moreContrast]
+   * @param {boolean} [ctx.lightScheme]
+   * @param {number}  ctx.hour — local hour, 0–23
+   * @returns {string} theme id
+   */
+  static pickAuto({ moreContrast = false, lightScheme = false, hour }) {
+    const themes = this.list();
+    const match =
+      (moreContrast && themes.find(theme => theme.auto.contrast === 'more')) ||
+      (lightScheme  && themes.find(theme => theme.auto.scheme === 'light')) ||
+      themes.find(theme => theme.auto.hours && hourInRange(hour, theme.auto.hours));
+    return match ? match.id : this.defaultId();
   }
 
-  /* ---- RISING PARTICLES (Anime) ---- */
-  _buildParticlesPool() {
-    const cfg = CANVAS_CONFIG.anime;
-    this.particles = Array.from({ length: cfg.particleCount }, () =>
-      this._makeParticle()
-    );
-  }
+  /**
+   * Chooses the canvas transition for switches from one theme to another.
+   * @param {string} from — theme id or '*'
+   * @param {string} to   — theme id or '*'
+   * @param {string} name — a transition registered on CanvasStage
+   */
+  static setTransition(from, to, name) {
+    if (!CanvasStage.transitions.has(name)) {
+      throw new Error(`ThemeRegistry: unknown transition "${name}"`);
+    }
+    this.transitions.set(`${from}>${to}`, name);
+  }
+
+  /**
+   * The transition for a switch. The exact pair wins, then one set for the
+   * incoming theme, then one for the outgoing theme, then crossfade.
+   * @param {string|null} from
+   * @param {string} to
+   * @returns {string}
+   */
+  static transitionFor(from, to) {
+    const keys = [`${from}>${to}`, `*>${to}`, `${from}>*`];
+    const key = keys.find(k => this.transitions.has(k));
+    return key ? this.transitions.get(key) : 'crossfade';
+  }
+
+  /**
+   * Calls fn(theme) whenever a theme is registered
+   * @param {Function} fn
+   * @returns {() => void} unsubscribe
+   */
+  static onChange(fn) {
+    this.listeners.push(fn);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== fn);
+    };
+  }
+
+  /**
+   * Writes the theme's custom properties and character-variant rule into
+   * a <style> tag of its own, so re-registering simply replaces it.
+   */
+  static _injectStyles(theme) {
+    const decls = Object.entries(theme.vars)
+      .map(([name, value]) => `  ${name.startsWith('--') ? name : `--${name}`}: ${value};`)
+      .join('\n');
+
+    const css = [
+      decls ? `[data-theme="${theme.id}"] {\n${decls}\n}` : '',
+      // Lets new themes reuse existing character art (style.css covers the built-ins)
+      `[data-theme="${theme.id}"] .v-${theme.variant} { display: block; }`,
+    ].join('\n');
+
+    const styleId = `theme-style-${theme.id}`;
+    let style = document.getElementById(styleId);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = styleId;
+      document.head.appendChild(style);
+    }
+    style.textContent = css;
+  }
+}
+
+/* Built-in themes — their custom properties live in style.css */
+ThemeRegistry.register({
+  id: 'retro',
+  label: 'RETRO',
+  title: 'Retro',
+  icon: '🎮',
+  variant: 'retro',
+  // Green-on-black is the crispest look, and the arcade belongs to the night
+  auto: { contrast: 'more', hours: [22, 6] },
+  canvas: {
+    renderer: 'starfield',
+    starCount: 150,
+    starSpeed: 0.3,
+    starSizeMin: 0.5,
+    starSizeMax: 2,
+    color: '#00ff00',
+    glowColor: 'rgba(0,255,0,',
+    trailColor: 'rgba(0,0,0,0.25)',
+    shootingStarInterval: 4000,
+    warpRadius: 220,      // stars this close to the pointer get pulled in
+    warpSpeed: 14,        // px per frame right at the pointer
+  },
+});
+
+ThemeRegistry.register({
+  id: 'futuristic',
+  label: 'FUTURE',
+  title: '3D Futuristic',
+  icon: '🧊',
+  variant: 'futuristic',
+  auto: { hours: [17, 22] },
+  canvas: {
+    renderer: 'orbs',
+    orbDensity: 60,       // nodes per megapixel of viewport
+    orbCountMin: 40,
+    orbCountMax: 2500,
+    orbSpeed: 0.6,
+    color: '#00e5ff',
+    secondaryColor: '#7b2fff',
+    glowColor: 'rgba(0,229,255,',
+    backgroundStops: ['rgba(8, 22, 48, 0.6)', 'rgba(3, 11, 24, 0.95)'],
+    connectionDist: 160,
+    repelRadius: 220,     // clicks push nodes within this distance
+    repelForce: 6,        // extra px per frame right at the click, decaying
+  },
+  sound: {
+    wave: 'sawtooth',
+    march: [65.4, 61.7, 58.3, 55],
+    marchTempo: 480,
+    shot: { from: 2400, to: 500, duration: 0.2 },
+    explosion: { filter: 600, duration: 0.8 },
+  },
+});
+
+ThemeRegistry.register({
+  id: 'anime',
+  label: 'ANIME',
+  title: 'Anime',
+  icon: '🌸',
+  variant: 'anime',
+  auto: { scheme: 'light', hours: [6, 17] },
+  canvas: {
+    renderer: 'particles',
+    particleCount: 80,
+    particleSpeed: 0.8,
+    colors: ['#ff2dca', '#7a00ff', '#00e5ff', '#ff6bfe', '#c000ff'],
+    trailColor: 'rgba(13,0,26,0.3)',
+    swirlRadius: 160,     // particles this close circle the pointer
+    swirlStrength: 2.5,   // px per frame right at the pointer
+    burstCount: 24,       // sparks per tap
+  },
+  // Bright and bouncy — shots chirp upwards
+  sound: {
+    wave: 'triangle',
+    march: [196, 174.6, 164.8, 146.8],
+    marchTempo: 420,
+    shot: { from: 700, to: 1800, duration: 0.12 },
+    explosion: { filter: 2400, duration: 0.35 },
+  },
+});
+
+// The arcade cabinet switches its tube off and on — except that its stars
+// become the futuristic nodes — and anime always arrives in a petal burst
+ThemeRegistry.setTransition('*', 'retro', 'crt');
+ThemeRegistry.setTransition('retro', '*', 'crt');
+ThemeRegistry.setTransition('retro', 'futuristic', 'morph');
+ThemeRegistry.setTransition('*', 'anime', 'sakura');
+
+/* ==========================================================================
+  THEME MANAGER
+  Manages data-theme attribute on <html>, coordinates transition animations,
+  updates button states, and announces every step on the event bus.
+  Visitors either pick a theme or leave it on auto (the default), which
+  follows ThemeRegistry.pickAuto() and re-evaluates when the system
+  settings change or the hour turns.
+
+  The choice is shared three ways: localStorage (other tabs follow via the
+  `storage` event), the ?theme= query (so a copied link opens in the same
+  theme) and history entries (back/forward restore the theme they had).
+   ========================================================================== */
+
+/** The auto option's switcher button, shown after the themes */
+const AUTO_THEME_OPTION = { id: AUTO_THEME, label: 'AUTO', title: 'Automatic theme', icon: '✨' };
+
+class ThemeManager {
+  constructor() {
+    const stored = localStorage.getItem('si-theme');
+    /**
+     * AUTO_THEME, or the id of the theme the visitor picked. A shared link's
+     * ?theme= wins over the stored choice without overwriting it.
+     */
+    this.mode = this._themeFromUrl() || (ThemeRegistry.has(stored) ? stored : AUTO_THEME);
+
+    this.autoQueries = {
+      moreContrast: window.matchMedia('(prefers-contrast: more)'),
+      lightScheme:  window.matchMedia('(prefers-color-scheme: light)'),
+    };
+    this.autoTimer = null;
+    /** Bumped by every switch, so a superseded one knows to stand down */
+    this.transitionSeq = 0;
+    /** Pending steps of the running switch's veil sequence */
+    this.transitionTimers = [];
+
+    /** The theme on screen — in auto mode, whatever auto picked */
+    this.currentTheme = this._resolve();
+
+    this.htmlEl  = document.documentElement;
+    this.bodyEl  = document.body;
+    this.veilEl  = document.getElementById('theme-veil');
+
+    /** Switcher containers — buttons are generated from the registry */
+    this.navSwitcher    = document.querySelector('.theme-switcher');
+    this.footerSwitcher = document.querySelector('.footer-theme-btns');
+
+    this._renderButtons();
+    this._bindEvents();
+    this._applyTheme(this.currentTheme);
+    // The hourly check sleeps with the tab and catches up when it's back
+    this.releaseLifecycle = lifecycle.watch({
+      resume: () => {
+        this._refreshAuto();
+        this._scheduleAutoCheck();
+      },
+      suspend: () => {
+        clearTimeout(this.autoTimer);
+        this.autoTimer = null;
+      },
+    });
+    // Stamp the landing entry too, so going back to it restores this theme
+    this._syncUrl(false);
+
+    // Themes registered after start-up get their buttons (and may win auto)
+    this.stopRegistryWatch = ThemeRegistry.onChange(() => {
+      this._renderButtons();
+      this._updateButtons(this.currentTheme);
+      this._refreshAuto();
+    });
+
+    this.stopLocaleWatch = appBus.on('locale:change', () => {
+      this._renderButtons();
+      this._updateButtons(this.currentTheme);
+    });
+  }
+
+  /** The theme the current mode calls for */
+  _resolve() {
+    if (this.mode !== AUTO_THEME) return this.mode;
+    return ThemeRegistry.pickAuto({
+      moreContrast: this.autoQueries.moreContrast.matches,
+      lightScheme:  this.autoQueries.lightScheme.matches,
+      hour:         new Date().getHours(),
+    });
+  }
+
+  /** In auto mode, moves to a newly preferred theme with the usual transition */
+  _refreshAuto() {
+    if (this.mode !== AUTO_THEME) return;
+    const theme = this._resolve();
+    if (theme === this.currentTheme) return;
+    this.currentTheme = theme;
+    this._animateTransition(theme);
+  }
+
+  /** Time-of-day picks change on the hour — check again just after it turns */
+  _scheduleAutoCheck() {
+    clearTimeout(this.autoTimer);
+    const now = new Date();
+    const msToHour = (60 - now.getMinutes()) * 60000 - now.getSeconds() * 1000 - now.getMilliseconds();
+    this.autoTimer = setTimeout(() => {
+      this._refreshAuto();
+      this._scheduleAutoCheck();
+    }, msToHour + 1000);
+  }
+
+  /** (Re)builds the nav and footer switcher buttons from the registry */
+  _renderButtons() {
+    const themes = [...ThemeRegistry.list(), AUTO_THEME_OPTION];
+
+    if (this.navSwitcher) {
+      this.navSwitcher.replaceChildren(...themes.map(theme => {
+        const btn = document.createElement('button');
+        btn.className = 'theme-btn';
+        btn.type = 'button';
+        btn.dataset.themeTarget = theme.id;
+        btn.title = ThemeRegistry.text(theme, 'title');
+        btn.setAttribute('aria-label', btn.title);
+
+        const icon = document.createElement('span');
+        icon.className = 'theme-btn-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = theme.icon;
+
+        const label = document.createElement('span');
+        label.className = 'theme-btn-label';
+        label.textContent = ThemeRegistry.text(theme, 'label');
+
+        btn.append(icon, label);
+        return btn;
+      }));
+    }
+
+    if (this.footerSwitcher) {
+      this.footerSwitcher.replaceChildren(...themes.map(theme => {
+        const btn = document.createElement('button');
+        btn.className = 'footer-theme-btn';
+        btn.type = 'button';
+        btn.dataset.themeTarget = theme.id;
+        btn.title = ThemeRegistry.text(theme, 'title');
+        btn.setAttribute('aria-label', btn.title);
+        btn.textContent = theme.icon;
+        return btn;
+      }));
+    }
+
+    /** All theme-switcher buttons (nav + footer) */
+    this.allBtns = document.querySelectorAll('[data-theme-target]');
+  }
+
+  /** One delegated listener per container survives button re-renders */
+  _bindEvents() {
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+
+    [this.navSwitcher, this.footerSwitcher].forEach(container => {
+      if (!container) return;
+      container.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-theme-target]');
+        if (!btn) return;
+        const target = btn.dataset.themeTarget;
+        if (target !== this.mode) {
+          this.switchTo(target);
+        }
+      }, { signal: this.events.signal });
+    });
+
+    // Auto mode follows system contrast / colour-scheme changes live
+    Object.values(this.autoQueries).forEach(query => {
+      query.addEventListener('change', () => this._refreshAuto(), { signal: this.events.signal });
+    });
+
+    // Another tab switched theme — follow it, veil and all. clear() reports key null.
+    window.addEventListener('storage', (e) => {
+      if (e.key !== 'si-theme' && e.key !== null) return;
+      const theme = e.newValue || AUTO_THEME;
+      if (theme !== this.mode && this._setMode(theme)) this._syncUrl(false);
+    }, { signal: this.events.signal });
+
+    // Back / forward — each entry remembers the theme it was created with
+    window.addEventListener('popstate', (e) => {
+      const theme = (e.state && e.state.theme) || this._themeFromUrl() || AUTO_THEME;
+      if (theme !== this.mode && this._setMode(theme)) {
+        localStorage.setItem('si-theme', theme);
+      }
+    }, { signal: this.events.signal });
+  }
+
+  /** A valid ?theme= value from the address bar, or null */
+  _themeFromUrl() {
+    const value = new URLSearchParams(window.location.search).get('theme');
+    return value === AUTO_THEME || ThemeRegistry.has(value) ? value : null;
+  }
+
+  /**
+   * Mirrors the mode into ?theme= (dropped for auto), keeping other
+   * parameters and the hash
+   * @param {boolean} push — a new history entry (the visitor switched) or
+   *                         rewrite the current one
+   */
+  _syncUrl(push) {
+    const url = new URL(window.location.href);
+    if (this.mode === AUTO_THEME) url.searchParams.delete('theme');
+    else url.searchParams.set('theme', this.mode);
+
+    const state = { ...history.state, theme: this.mode };
+    if (push && url.href !== window.location.href) {
+      history.pushState(state, '', url);
+    } else {
+      history.replaceState(state, '', url);
+    }
+  }
+
+  /** Stops listening; the current theme stays applied */
+  destroy() {
+    this.events.abort();
+    this.stopRegistryWatch();
+    this.stopLocaleWatch();
+    this.releaseLifecycle();
+    clearTimeout(this.autoTimer);
+    this.transitionTimers.forEach(clearTimeout);
+  }
+
+  /**
+   * Public: Switch to a named theme, or back to AUTO_THEME, with animation.
+   * Picking the theme auto already shows just pins it — no transition.
+   * @param {string} theme
+   * @returns {Promise<boolean>} resolves once the switch has fully played
+   *   out — false for unknown themes or when a newer switch cut it short
+   */
+  switchTo(theme) {
+    const done = this._setMode(theme);
+    if (!done) return Promise.resolve(false);
+    localStorage.setItem('si-theme', theme);
+    this._syncUrl(true);
+    return done;
+  }
+
+  /**
+   * Public: Shows a theme (or AUTO_THEME) like switchTo(), but leaves the
+   * stored choice and the address bar alone — for tours such as KioskMode,
+   * which hand back with preview(<the mode they started from>).
+   * @param {string} theme
+   * @returns {Promise<boolean>} settles like switchTo()
+   */
+  preview(theme) {
+    return this._setMode(theme) || Promise.resolve(false);
+  }
+
+  /**
+   * Changes mode and shows the result, without recording it anywhere —
+   * shared by switchTo(), preview() and changes arriving from other tabs
+   * or history.
+   * @param {string} theme — theme id or AUTO_THEME
+   * @returns {Promise<boolean>|null} null for unknown themes, otherwise
+   *   settles like switchTo()
+   */
+  _setMode(theme) {
+    if (theme !== AUTO_THEME && !ThemeRegistry.has(theme)) return null;
+    this.mode = theme;
+
+    const next = this._resolve();
+    if (next === this.currentTheme) {
+      this._updateButtons(next);
+      return Promise.resolve(true);
+    }
+    this.currentTheme = next;
+    return this._animateTransition(next);
+  }
+
+  /**
+   * Performs the flash-veil → apply → fade sequence
+   * 1. Announce the switch — the canvas starts its own transition and
+   *    registers it through waitUntil
+   * 2. Flash veil on, apply the theme under it (100ms), veil off (320ms)
+   * 3. Body gets transition classes for smooth color interpolation
+   * 4. Once the CSS (1100ms) and every registered animation are done,
+   *    announce the end
+   * A switch started meanwhile cancels the pending steps of this one and
+   * announces its own end instead.
+   * @param {string} theme
+   * @returns {Promise<boolean>} false if a newer switch took over
+   */
+  async _animateTransition(theme) {
+    const seq = ++this.transitionSeq;
+    this.transitionTimers.forEach(clearTimeout);
+
+    const work = [new Promise(resolve => setTimeout(resolve, 1100))];
+    appBus.emit('theme:transition-start', {
+      theme,
+      previous:  this.htmlEl.dataset.theme,
+      waitUntil: promise => work.push(promise),
+    });
+
+    // Step 1: Add transitioning class so all CSS props animate
+    this.bodyEl.classList.add('theme-transitioning');
+
+    // Step 2: Flash veil — skipped for visitors who turned flashes off
+    if (motionPrefs.allows('flashes')) this.veilEl.classList.add('flash');
+
+    this.transitionTimers = [
+      // Step 3: Apply theme while partially obscured
+      setTimeout(() => this._applyTheme(theme), 100),
+      // Step 4: Remove veil
+      setTimeout(() => this.veilEl.classList.remove('flash'), 320),
+    ];
+
+    // Step 5: Remove transitioning class after all transitions complete
+    await Promise.all(work);
+    if (seq !== this.transitionSeq) return false;
+    this.bodyEl.classList.remove('theme-transitioning');
+    appBus.emit('theme:transition-end', { theme });
+    return true;
+  }
+
+  /**
+   * Applies a theme: sets data-theme, updates buttons, announces it
+   * @param {string} theme
+   */
+  _applyTheme(theme) {
+    const previous = this.htmlEl.dataset.theme || null;
+    this.htmlEl.dataset.theme = theme;
+    this._updateButtons(theme);
+    appBus.emit('theme:change', { theme, previous });
+  }
+
+  /**
+   * Updates aria-pressed and active class on all theme buttons.
+   * Only the chosen option is pressed — in auto mode that's the auto
+   * button, and the theme it picked is just marked with .auto-pick.
+   */
+  _updateButtons(theme) {
+    const auto = this.mode === AUTO_THEME;
+    const picked    = ThemeRegistry.get(theme);
+    const autoTitle = ThemeRegistry.text(AUTO_THEME_OPTION, 'title');
+
+    this.allBtns.forEach(btn => {
+      const target   = btn.dataset.themeTarget;
+      const isActive = target === this.mode;
+      btn.classList.toggle('active', isActive);
+      btn.classList.toggle('auto-pick', auto && target === theme);
+      btn.setAttribute('aria-pressed', String(isActive));
+
+      if (target === AUTO_THEME) {
+        const title = auto && picked
+          ? i18n.t('theme.auto.current', { title: autoTitle, picked: ThemeRegistry.text(picked, 'title') })
+          : autoTitle;
+        btn.title = title;
+        btn.setAttribute('aria-label', title);
+      }
+    });
+  }
+}
+
+/* ==========================================================================
+  SOUND
+  Everything is synthesised with Web Audio — no files to load. The arcade's
+  four-note marching bass plays while the hero is in view; buttons fire a
+  shot and the Konami code sets off an explosion. Each theme brings its own
+  palette. Browsers only allow audio after a user gesture, so the
+  AudioContext is created on the first click, tap or key press; until then
+  (and while muted) every call is a silent no-op.
+   ========================================================================== */
+
+/** The retro cabinet's sound, and the base every theme's `sound` is merged over */
+const SOUND_PALETTE_DEFAULTS = {
+  wave:       'square',                          // oscillator type for notes and shots
+  march:      [98, 87.3, 82.4, 73.4],            // the four descending bass notes, Hz
+  marchTempo: 550,                               // ms between notes
+  shot:       { from: 1200, to: 150, duration: 0.15 },  // pitch sweep, Hz and s
+  explosion:  { filter: 1200, duration: 0.5 },   // noise burst: lowpass start Hz, s
+  volume:     0.2,
+};
+
+class SoundEngine {
+  constructor() {
+    /** @type {AudioContext|null} — created on the first user gesture */
+    this.ctx    = null;
+    this.master = null;
+    /** White noise for explosions, made once */
+    this.noise  = null;
+    this.muted  = localStorage.getItem('si-sound') === 'off';
+    this.palette = SOUND_PALETTE_DEFAULTS;
+    this.listeners = [];
+
+    /** Whether something asked for the march — it still needs audio and no mute */
+    this.marching   = false;
+    this.marchTimer = null;
+    this.marchStep  = 0;
+
+    /** Aborted once audio is unlocked */
+    this.unlockEvents = new AbortController();
+    ['pointerdown', 'keydown', 'touchend'].forEach(type => {
+      document.addEventListener(type, () => this._unlock(), { capture: true, signal: this.unlockEvents.signal });
+    });
+
+    this.stopThemeWatch = appBus.on('theme:change', ({ theme }) => {
+      const def = ThemeRegistry.get(theme);
+      this.palette = { ...SOUND_PALETTE_DEFAULTS, ...(def && def.sound) };
+    }, { replay: true });
+  }
+
+  _unlock() {
+    this.unlockEvents.abort();
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    this.ctx    = new AudioContextClass();
+    this.master = this.ctx.createGain();
+    this.master.gain.value = this.muted ? 0 : 1;
+    this.master.connect(this.ctx.destination);
+    // Some browsers create it suspended even inside the gesture
+    this.ctx.resume().then(() => this._updateMarch(), () => {});
+  }
+
+  /** True when a sound played now would be heard */
+  get audible() {
+    return !!this.ctx && this.ctx.state === 'running' && !this.muted;
+  }
+
+  /**
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    localStorage.setItem('si-sound', muted ? 'off' : 'on');
+    if (this.master) this.master.gain.value = muted ? 0 : 1;
+    this._updateMarch();
+    this.listeners.forEach(fn => fn(muted));
+  }
+
+  /**
+   * Calls fn(muted) whenever the mute setting changes
+   * @param {Function} fn
+   * @returns {() => void} unsubscribe
+   */
+  onChange(fn) {
+    this.listeners.push(fn);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== fn);
+    };
+  }
+
+  /**
+   * Plays an effect from the current palette
+   * @param {'shot'|'explosion'} name
+   */
+  play(name) {
+    if (!this.audible) return;
+    const { wave, shot, explosion, volume } = this.palette;
+    if (name === 'shot') {
+      this._tone(wave, shot.from, shot.to, shot.duration, volume);
+    } else if (name === 'explosion') {
+      this._noiseBurst(explosion.filter, explosion.duration, volume * 1.5);
+    }
+  }
+
+  /**
+   * Starts or stops the marching bass
+   * @param {boolean} marching
+   */
+  setMarching(marching) {
+    this.marching = marching;
+    this._updateMarch();
+  }
+
+  _updateMarch() {
+    const run = this.marching && this.audible;
+    if (run && !this.marchTimer) {
+      this._marchNote();
+    } else if (!run && this.marchTimer) {
+      clearTimeout(this.marchTimer);
+      this.marchTimer = null;
+    }
+  }
+
+  /** One note, then schedule the next — the tempo follows theme changes */
+  _marchNote() {
+    const { wave, march, marchTempo, volume } = this.palette;
+    const freq = march[this.marchStep % march.length];
+    this.marchStep++;
+    this._tone(wave, freq, freq, 0.09, volume);
+    this.marchTimer = setTimeout(() => this._marchNote(), marchTempo);
+  }
+
+  /**
+   * An oscillator sweeping from one pitch to another with a quick decay
+   * @param {OscillatorType} type
+   * @param {number} from — Hz
+   * @param {number} to — Hz
+   * @param {number} duration — s
+   * @param {number} volume — 0–1
+   */
+  _tone(type, from, to, duration, volume) {
+    const now  = this.ctx.currentTime;
+    const osc  = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(from, now);
+    if (to !== from) osc.frequency.exponentialRampToValueAtTime(to, now + duration);
+    gain.gain.setValueAtTime(volume, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+    osc.connect(gain).connect(this.master);
+    osc.start(now);
+    osc.stop(now + duration);
+  }
+
+  /**
+   * Filtered white noise whose lowpass closes over the duration
+   * @param {number} filterFreq — Hz at the start
+   * @param {number} duration — s
+   * @param {number} volume — 0–1
+   */
+  _noiseBurst(filterFreq, duration, volume) {
+    const ctx = this.ctx;
+    if (!this.noise) {
+      this.noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = this.noise.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+
+    const now    = ctx.currentTime;
+    const source = ctx.createBufferSource();
+    const filter = ctx.createBiquadFilter();
+    const gain   = ctx.createGain();
+    source.buffer = this.noise;
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(filterFreq, now);
+    filter.frequency.exponentialRampToValueAtTime(60, now + duration);
+    gain.gain.setValueAtTime(volume, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+    source.connect(filter).connect(gain).connect(this.master);
+    source.start(now);
+    source.stop(now + duration);
+  }
+
+  destroy() {
+    this.unlockEvents.abort();
+    this.stopThemeWatch();
+    this.setMarching(false);
+    if (this.ctx) this.ctx.close();
+    this.ctx = null;
+  }
+}
+
+/** The page's sound engine */
+const sound = new SoundEngine();
+
+/**
+ * The nav's sound button, and the march's cue: it plays while the hero
+ * is in view.
+ */
+class SoundControls {
+  constructor() {
+    this.toggleBtn = document.getElementById('sound-toggle');
+
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    if (this.toggleBtn) {
+      this.toggleBtn.addEventListener('click', () => sound.setMuted(!sound.muted), { signal: this.events.signal });
+    }
+    this.stopSync = sound.onChange(() => this._sync());
+    this.stopLocaleWatch = appBus.on('locale:change', () => this._sync());
+    this._sync();
+
+    const hero = document.querySelector('.hero');
+    this.releaseLifecycle = hero
+      ? lifecycle.watch({
+        element: hero,
+        resume:  () => sound.setMarching(true),
+        suspend: () => sound.setMarching(false),
+      })
+      : () => {};
+  }
+
+  _sync() {
+    if (!this.toggleBtn) return;
+    const on = !sound.muted;
+    this.toggleBtn.setAttribute('aria-pressed', String(on));
+    this.toggleBtn.title = i18n.t(on ? 'sound.on' : 'sound.off');
+    this.toggleBtn.querySelector('span').textContent = on ? '🔊' : '🔇';
+  }
+
+  destroy() {
+    this.events.abort();
+    this.stopSync();
+    this.stopLocaleWatch();
+    this.releaseLifecycle();
+    sound.setMarching(false);
+  }
+}
+
+/* ==========================================================================
+  PERF OVERLAY
+  Tiny debug readout of the governor: tier, fps and frame time. Toggle with
+  the backtick key or open the page with ?perf. Clicking it cycles between
+  automatic and each pinned tier.
+   ========================================================================== */
+
+class PerfOverlay {
+  /** @param {CanvasEngine} engine */
+  constructor(engine) {
+    this.engine = engine;
+    this.el     = null;
+    this.timer  = null;
+
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== '`' || e.target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      this.toggle();
+    }, { signal: this.events.signal });
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('perf') || localStorage.getItem('si-perf-overlay') === 'on') {
+      this.show();
+    }
+  }
+
+  toggle() {
+    this.el ? this.hide() : this.show();
+  }
+
+  show() {
+    if (this.el) return;
+    this.el = document.createElement('button');
+    this.el.type = 'button';
+    this.el.className = 'perf-overlay';
+    this.el.title = 'Click to cycle quality: auto → pinned tiers';
+    this.el.addEventListener('click', () => this._cyclePin());
+    document.body.appendChild(this.el);
+
+    this._render();
+    this.timer = setInterval(() => this._render(), 500);
+    localStorage.setItem('si-perf-overlay', 'on');
+  }
+
+  hide() {
+    if (!this.el) return;
+    clearInterval(this.timer);
+    this.el.remove();
+    this.el = null;
+    localStorage.removeItem('si-perf-overlay');
+  }
+
+  /** Removes the readout without forgetting the visitor's toggle */
+  destroy() {
+    this.events.abort();
+    if (!this.el) return;
+    clearInterval(this.timer);
+    this.el.remove();
+    this.el = null;
+  }
+
+  /** auto → high → medium → … → auto */
+  _cyclePin() {
+    const pinned = this.engine.pinnedTier;
+    const next = pinned === null ? 0 : pinned + 1;
+    this.engine.pinQuality(next < QUALITY_TIERS.length ? next : null);
+    this._render();
+  }
+
+  _render() {
+    const stats = this.engine.stats();
+    if (!stats) {
+      this.el.textContent = 'QUALITY —\nWAITING FOR WORKER';
+      return;
+    }
+    const tier = QUALITY_TIERS[stats.tier];
+    this.el.textContent =
+      `QUALITY ${tier.name.toUpperCase()} ${stats.pinned === null ? '(AUTO)' : '(PINNED)'}\n` +
+      `${stats.fps.toFixed(0)} FPS · ${stats.avgDt.toFixed(1)} MS · ${stats.worker ? 'WORKER' : 'MAIN'}\n` +
+      `RES ${tier.resolution * 100}% · ${tier.shadows ? 'GLOW' : 'NO GLOW'}` +
+      `${tier.fpsCap ? ` · CAP ${tier.fpsCap}` : ''}`;
+  }
+}
+
+/* ==========================================================================
+  CANVAS ENGINE
+  The page-side half of the background. Owns the <canvas> element and the
+  page signals (viewport size, device pixel ratio, visibility, theme) and
+  forwards them to a CanvasStage — in canvas-worker.js via OffscreenCanvas
+  where supported, so the orb pass can't jank scrolling, otherwise right
+  here on the main thread.
+   ========================================================================== */
+
+class CanvasEngine {
+  /**
+   * Makes a renderer available to themes under a name.
+   * Renderers registered from the page only exist on the main thread —
+   * add them to canvas-core.js to have them in the worker as well, or
+   * construct the engine with `{ worker: false }`.
+   * @param {string} name
+   * @param {typeof CanvasRenderer} RendererClass
+   */
+  static registerRenderer(name, RendererClass) {
+    CanvasStage.registerRenderer(name, RendererClass);
+  }
+
+  /** Whether this browser can hand the canvas to a worker */
+  static supportsWorker(canvas) {
+    return typeof Worker === 'function'
+      && typeof OffscreenCanvas === 'function'
+      && typeof canvas.transferControlToOffscreen === 'function';
+  }
+
+  /**
+   * @param {string} canvasId
+   * @param {object}  [opts]
+   * @param {number}  [opts.maxDpr=2]    — ceiling on device pixel ratio; lower
+   *   trades sharpness on Retina/4K screens for fill-rate
+   * @param {boolean} [opts.worker=true] — render off the main thread when the
+   *   browser allows it
+   */
+  constructor(canvasId, { maxDpr = 2, worker = true } = {}) {
+    this.canvas = document.getElementById(canvasId);
+    this.maxDpr = maxDpr;
+    this.theme  = null;
+
+    /** Main-thread stage — null while a worker renders */
+    this.stage = null;
+    /** @type {Worker|null} */
+    this.worker = null;
+    /** Set once the worker has taken the canvas */
+    this.workerReady = false;
+    /** Last stage snapshot posted by the worker */
+    this.workerStats = null;
+
+    // Everything the stage needs, kept here so it can be replayed to
+    // whichever stage ends up rendering
+    this.W          = 0;
+    this.H          = 0;
+    this.pixelRatio = 1;
+    this.rendererSpec = null;
+    this.pinnedTier = null;
+    this.hidden     = document.hidden;
+
+    /** Resolvers of transitions still playing, by the id sent with them */
+    this.pendingTransitions = new Map();
+    this.transitionSeq = 0;
+
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+
+    this._measure();
+    // Follow the theme from the bus — whatever ThemeManager already applied included
+    this.stopThemeWatch = appBus.on('theme:change', ({ theme }) => this.setTheme(theme), { replay: true });
+    if (!this.theme) this.setTheme(ThemeRegistry.defaultId());
+    // Animated switches start here, ahead of theme:change, and hold the end of the switch
+    this.stopTransitionWatch = appBus.on('theme:transition-start', ({ theme, waitUntil }) => {
+      waitUntil(this.setTheme(theme, { animate: true }));
+    });
+
+    if (worker && CanvasEngine.supportsWorker(this.canvas)) {
+      this._startWorker();
+    } else {
+      this._startLocal();
+    }
+
+    this.stopResizeWatch = appBus.on('viewport:resize', () => this._resize());
+    this._watchPixelRatio();
+    this._watchPointer();
+
+    // The canvas is fixed to the viewport, so only tab visibility matters
+    this.releaseLifecycle = lifecycle.watch({
+      resume:  () => this._setHidden(false),
+      suspend: () => this._setHidden(true),
+    });
+
+    // Reduced motion holds a still frame instead of animating
+    this.stopMotionWatch = motionPrefs.onChange(() => {
+      this._send({ type: 'motion', animated: motionPrefs.allows('background') });
+    });
+  }
+
+  /* ---- STAGE SETUP ---- */
+
+  /** Render on the main thread */
+  _startLocal() {
+    this.stage = new CanvasStage(this.canvas.getContext('2d'), {
+      onTransitionEnd: (id, completed) => this._settleTransition(id, completed),
+      createBuffer: (width, height) => Object.assign(document.createElement('canvas'), { width, height }),
+    });
+    this._syncStage();
+  }
+
+  /**
+   * Spin up canvas-worker.js. The canvas is only transferred once the
+   * worker reports it loaded — a worker that fails to start (blocked on
+   * file://, script missing) leaves the canvas untouched for the
+   * main-thread fallback.
+   */
+  _startWorker() {
+    try {
+      this.worker = new Worker('canvas-worker.js');
+    } catch (err) {
+      console.warn('CanvasEngine: worker unavailable, rendering on the main thread', err);
+      this._startLocal();
+      return;
+    }
+
+    this.worker.addEventListener('message', ({ data }) => {
+      switch (data.type) {
+        case 'ready': {
+          const offscreen = this.canvas.transferControlToOffscreen();
+          this.worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+          this.workerReady = true;
+          this._syncStage();
+          break;
+        }
+        case 'stats':
+          this.workerStats = data.stats;
+          break;
+        case 'transition-end':
+          this._settleTransition(data.id, data.completed);
+          break;
+        case 'error':
+          console.warn(`CanvasEngine: ${data.message}`);
+          // The failed message may have been a transition that never starts
+          this._abandonTransitions();
+          break;
+      }
+    });
+
+    this.worker.addEventListener('error', (e) => {
+      this._abandonTransitions();
+      if (this.workerReady) return;
+      e.preventDefault();
+      console.warn('CanvasEngine: worker failed to load, rendering on the main thread');
+      this.worker.terminate();
+      this.worker = null;
+      this._startLocal();
+    });
+  }
+
+  /** Bring a freshly started stage up to date with the page */
+  _syncStage() {
+    this._send({ type: 'resize', width: this.W, height: this.H, pixelRatio: this.pixelRatio });
+    if (this.rendererSpec) this._send({ type: 'renderer', ...this.rendererSpec });
+    if (this.pinnedTier !== null) this._send({ type: 'quality', tier: this.pinnedTier });
+    this._send({ type: 'visibility', hidden: this.hidden });
+    this._send({ type: 'motion', animated: motionPrefs.allows('background') });
+  }
+
+  /**
+   * Deliver a message to whichever stage is rendering. The worker gets it
+   * verbatim; the local stage is driven through the same switch the worker
+   * uses, so both paths stay in step. Messages before either exists are
+   * dropped — _syncStage() replays the state later.
+   * @param {object} msg
+   */
+  _send(msg) {
+    if (this.worker) {
+      if (this.workerReady) this.worker.postMessage(msg);
+      return;
+    }
+    if (!this.stage) return;
+
+    switch (msg.type) {
+      case 'resize':
+        this.stage.resize(msg.width, msg.height, msg.pixelRatio);
+        break;
+      case 'renderer':
+        if (msg.transition) {
+          this.stage.transitionTo(msg.name, msg.config, {
+            transition: msg.transition,
+            duration:   msg.duration,
+            easing:     msg.easing,
+            id:         msg.id,
+          });
+        } else {
+          this.stage.setRenderer(msg.name, msg.config);
+        }
+        break;
+      case 'quality':
+        this.stage.pinQuality(msg.tier);
+        break;
+      case 'visibility':
+        this.stage.setHidden(msg.hidden);
+        break;
+      case 'motion':
+        this.stage.setAnimated(msg.animated);
+        break;
+      case 'pointer':
+        this.stage.setPointer(msg.x, msg.y, msg.active);
+        break;
+      case 'pulse':
+        this.stage.pulse(msg.x, msg.y);
+        break;
+      case 'spawn':
+        this.stage.spawn(msg.name, msg.options);
+        break;
+    }
+  }
+
+  /**
+   * Resolves the promise of a transition the stage reports finished
+   * @param {number} id
+   * @param {boolean} completed
+   */
+  _settleTransition(id, completed) {
+    const resolve = this.pendingTransitions.get(id);
+    if (!resolve) return;
+    this.pendingTransitions.delete(id);
+    resolve(completed);
+  }
+
+  /** Settles every transition in flight as cut short — its report isn't coming */
+  _abandonTransitions() {
+    this.pendingTransitions.forEach(resolve => resolve(false));
+    this.pendingTransitions.clear();
+  }
+
+  /* ---- DOM SIGNALS ---- */
+
+  /** @param {boolean} hidden */
+  _setHidden(hidden) {
+    this.hidden = hidden;
+    this._send({ type: 'visibility', hidden });
+  }
+
+  /** Read the viewport size and the capped device pixel ratio */
+  _measure() {
+    this.W = window.innerWidth;
+    this.H = window.innerHeight;
+    this.pixelRatio = Math.min(window.devicePixelRatio || 1, this.maxDpr);
+  }
+
+  _resize() {
+    this._measure();
+    this._send({ type: 'resize', width: this.W, height: this.H, pixelRatio: this.pixelRatio });
+  }
+
+  /**
+   * devicePixelRatio changes (window dragged to another monitor, browser
+   * zoom) don't always fire `resize`. A resolution query only matches the
+   * current ratio, so re-arm a fresh one after each change.
+   */
+  _watchPixelRatio() {
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener('change', () => {
+      this._resize();
+      this._watchPixelRatio();
+    }, { once: true, signal: this.events.signal });
+  }
+
+  /**
+   * Pointer Events cover mouse, pen and touch alike. The canvas sits behind
+   * the page with pointer-events: none, so listen on the document; browsers
+   * already coalesce pointermove to about one event per frame.
+   */
+  _watchPointer() {
+    const { signal } = this.events;
+    const send = (e, active) => this._send({ type: 'pointer', x: e.clientX, y: e.clientY, active });
+
+    document.addEventListener('pointermove', e => send(e, true), { passive: true, signal });
+    document.addEventListener('pointerdown', (e) => {
+      send(e, true);
+      this._send({ type: 'pulse', x: e.clientX, y: e.clientY });
+    }, { passive: true, signal });
+    // Touch and pen have no hover — the influence ends when they lift
+    document.addEventListener('pointerup', (e) => {
+      if (e.pointerType !== 'mouse') send(e, false);
+    }, { passive: true, signal });
+    document.addEventListener('pointercancel', e => send(e, false), { passive: true, signal });
+    document.documentElement.addEventListener('pointerleave', e => send(e, false), { signal });
+  }
+
+  /* ---- PUBLIC API ---- */
+
+  /**
+   * Public API: swap the active renderer at runtime.
+   * Names resolve through CanvasStage.renderers. Classes can't be sent to
+   * a worker, so passing one is only allowed on the main-thread path.
+   * @param {string|typeof CanvasRenderer} renderer — registered name or class
+   * @param {object} [config] — passed to the renderer's constructor; must be
+   *   plain data (it may be posted to the worker)
+   * @param {object} [opts]
+   * @param {string} [opts.transition] — registered transition name; the
+   *   swap is instant without one, before the stage exists, or when
+   *   background motion is off
+   * @param {number} [opts.duration] — ms, defaults to the transition's own
+   * @param {string} [opts.easing] — a key of EASINGS, defaults to the transition's own
+   * @returns {Promise<boolean>} resolves when the new renderer has the
+   *   canvas to itself — false if another swap cut the transition short
+   */
+  setRenderer(renderer, config = {}, { transition = null, duration, easing } = {}) {
+    if (typeof renderer === 'string' && !CanvasStage.renderers.has(renderer)) {
+      throw new Error(`CanvasEngine: unknown renderer "${renderer}"`);
+    }
+    if (typeof renderer !== 'string' && this.worker) {
+      throw new Error('CanvasEngine: renderer classes can\'t be sent to the worker — register them by name in canvas-core.js');
+    }
+    if (transition && !CanvasStage.transitions.has(transition)) {
+      throw new Error(`CanvasEngine: unknown transition "${transition}"`);
+    }
+    if (easing && !EASINGS[easing]) {
+      throw new Error(`CanvasEngine: unknown easing "${easing}"`);
+    }
+    this.rendererSpec = { name: renderer, config };
+
+    const live = this.stage || this.workerReady;
+    if (!transition || !live || !motionPrefs.allows('background')) {
+      this._send({ type: 'renderer', name: renderer, config });
+      return Promise.resolve(true);
+    }
+
+    const id = ++this.transitionSeq;
+    return new Promise(resolve => {
+      this.pendingTransitions.set(id, resolve);
+      this._send({ type: 'renderer', name: renderer, config, transition, duration, easing, id });
+    });
+  }
+
+  /**
+   * Public API: switch theme
+   * Swaps in the theme's renderer and continues the loop — no restart
+   * required. Unknown themes fall back to the default.
+   * @param {string} theme
+   * @param {object}  [opts]
+   * @param {boolean} [opts.animate=false] — play the transition
+   *   ThemeRegistry.transitionFor() picks for this pair of themes
+   * @returns {Promise<boolean>} see setRenderer()
+   */
+  setTheme(theme, { animate = false } = {}) {
+    const def = ThemeRegistry.get(theme) || ThemeRegistry.get(ThemeRegistry.defaultId());
+    if (def.id === this.theme) return Promise.resolve(true);
+
+    const transition = animate && this.theme ? ThemeRegistry.transitionFor(this.theme, def.id) : null;
+    this.theme = def.id;
+    return this.setRenderer(def.canvas.renderer, def.canvas, { transition });
+  }
+
+  /**
+   * Public API: send a one-off sprite across the background. Skipped
+   * while background motion is off.
+   * @param {string} name — registered with CanvasStage.registerSprite()
+   * @param {object} [options] — plain data for the sprite's constructor
+   */
+  spawn(name, options = {}) {
+    if (!CanvasStage.sprites.has(name)) {
+      throw new Error(`CanvasEngine: unknown sprite "${name}"`);
+    }
+    this._send({ type: 'spawn', name, options });
+  }
+
+  /**
+   * Public API: force a quality tier, or null to let the governor decide
+   * @param {number|null} tier — index into QUALITY_TIERS
+   */
+  pinQuality(tier) {
+    this.pinnedTier = tier;
+    this._send({ type: 'quality', tier });
+  }
+
+  /**
+   * Public API: change the device-pixel-ratio ceiling
+   * @param {number} maxDpr — e.g. 1 for speed, Infinity for native sharpness
+   */
+  setMaxDpr(maxDpr) {
+    this.maxDpr = maxDpr;
+    this._resize();
+  }
+
+  /**
+   * Public API: governor snapshot for diagnostics
+   * @returns {{tier: number, pinned: number|null, fps: number, avgDt: number, worker: boolean}|null}
+   */
+  stats() {
+    const stats = this.stage ? this.stage.stats() : this.workerStats;
+    return stats && { ...stats, worker: !!this.worker };
+  }
+
+  /** Clean up — call if canvas needs to be destroyed */
+  destroy() {
+    this.events.abort();
+    this.stopThemeWatch();
+    this.stopTransitionWatch();
+    this.stopResizeWatch();
+    this.releaseLifecycle();
+    this.stopMotionWatch();
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    if (this.stage) this.stage.destroy();
+    this.stage = null;
+    this._abandonTransitions();
+  }
+}
+
+/* ==========================================================================
+  CONTENT MANIFEST
+  The story cards, mechanics, alien cards and legacy stats come from a
+  versioned JSON file described by content.schema.json: content.json in
+  English, content.<locale>.json in other languages, or content.<variant>.json
+  with ?content=<variant>. The copy in index.html stays as the fallback for
+  when the file can't be loaded.
+   ========================================================================== */
+
+/** The content format this page renders — content.schema.json pins the same */
+const CONTENT_MANIFEST_VERSION = 1;
+
+const CONTENT_MANIFEST_URL = 'content.json';
+const CONTENT_SCHEMA_URL   = 'content.schema.json';
+
+class ContentManifest {
+  /**
+   * The manifest this page should show — ?content=<variant> picks
+   * content.<variant>.json whatever the language
+   * @param {string} [locale] — a key of LOCALES
+   */
+  static url(locale = i18n.locale) {
+    const fallback = locale === DEFAULT_LOCALE ? CONTENT_MANIFEST_URL : `content.${locale}.json`;
+    const variant = new URLSearchParams(window.location.search).get('content');
+    if (variant === null) return fallback;
+    if (/^[a-z0-9-]+$/i.test(variant)) return `content.${variant}.json`;
+    console.warn(`ContentManifest: ignoring ?content=${variant} — use letters, digits and dashes`);
+    return fallback;
+  }
+
+  /**
+   * Fetches a manifest and the schema, and checks one against the other
+   * @param {string} url
+   * @returns {Promise<object>} the manifest
+   * @throws {Error} when either file is missing, isn't JSON, or the
+   *   manifest breaks the schema — the message lists every problem
+   */
+  static async load(url) {
+    const [data, schema] = await Promise.all([
+      ContentManifest._fetchJson(url),
+      ContentManifest._fetchJson(CONTENT_SCHEMA_URL),
+    ]);
+    ContentManifest.validate(data, schema, url);
+    return data;
+  }
+
+  /**
+   * @param {*} data
+   * @param {object} schema — content.schema.json
+   * @param {string} [name] — how to refer to the file in messages
+   * @throws {Error} listing every problem, one per line
+   */
+  static validate(data, schema, name = 'content') {
+    // A version mismatch makes every other complaint noise — report it alone
+    if (data && typeof data === 'object' && !Array.isArray(data) && data.version !== CONTENT_MANIFEST_VERSION) {
+      throw new Error(
+        `ContentManifest: ${name} is version ${JSON.stringify(data.version)}, ` +
+        `this page reads version ${CONTENT_MANIFEST_VERSION}`
+      );
+    }
+    const problems = [];
+    ContentManifest._check(schema, data, '', problems);
+    if (problems.length) {
+      throw new Error(
+        `ContentManifest: ${name} has ${problems.length} problem${problems.length === 1 ? '' : 's'}:\n` +
+        problems.map(p => `  - ${p}`).join('\n')
+      );
+    }
+  }
+
+  static async _fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`ContentManifest: could not load ${url} (HTTP ${response.status})`);
+    try {
+      return await response.json();
+    } catch (err) {
+      throw new Error(`ContentManifest: ${url} is not valid JSON (${err.message})`);
+    }
+  }
+
+  /**
+   * Checks a value against the slice of JSON Schema content.schema.json
+   * uses: type, const, enum, required, properties, additionalProperties,
+   * items, minItems, minLength, minimum and maximum
+   * @param {object} schema
+   * @param {*} value
+   * @param {string} path — e.g. aliens[2].points
+   * @param {string[]} problems — appended to
+   */
+  static _check(schema, value, path, problems) {
+    const at = path || '(top level)';
+    const got = JSON.stringify(value);
+
+    if ('const' in schema && value !== schema.const) {
+      problems.push(`${at}: must be ${JSON.stringify(schema.const)}, got ${got}`);
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${got}`);
+      return;
+    }
+    if (schema.type && !ContentManifest._isType(value, schema.type)) {
+      problems.push(`${at}: expected ${schema.type}, got ${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value}`);
+      return;
+    }
+
+    if (typeof value === 'string' && schema.minLength && value.length < schema.minLength) {
+      problems.push(`${at}: must not be empty`);
+    }
+    if (typeof value === 'number' && 'minimum' in schema && value < schema.minimum) {
+      problems.push(`${at}: must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (typeof value === 'number' && 'maximum' in schema && value > schema.maximum) {
+      problems.push(`${at}: must be at most ${schema.maximum}, got ${value}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems && value.length < schema.minItems) {
+        problems.push(`${at}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+      }
+      if (schema.items) {
+        value.forEach((item, i) => ContentManifest._check(schema.items, item, `${path}[${i}]`, problems));
+      }
+    } else if (value && typeof value === 'object') {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) problems.push(`${path ? `${path}.` : ''}${key}: missing`);
+      });
+      Object.keys(value).forEach(key => {
+        const child = path ? `${path}.${key}` : key;
+        if (properties[key]) {
+          ContentManifest._check(properties[key], value[key], child, problems);
+        } else if (schema.additionalProperties === false) {
+          problems.push(`${child}: unknown field`);
+        }
+      });
+    }
+  }
+
+  static _isType(value, type) {
+    switch (type) {
+      case 'object':  return !!value && typeof value === 'object' && !Array.isArray(value);
+      case 'array':   return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number':  return typeof value === 'number' && Number.isFinite(value);
+      default:        return typeof value === type;
+    }
+  }
+}
+
+/* ==========================================================================
+  UI BUILDER
+  Populates dynamic DOM elements that are driven by JavaScript data —
+  the mini grid, and the sections the content manifest describes.
+   ========================================================================== */
+
+class UIBuilder {
+  constructor() {
+    /** Pending timeout of the cosmetic demo — cleared when a real game starts */
+    this.demoTimer = null;
+    /** The demo step that timeout would run — kept across a suspend */
+    this.demoNext  = null;
+    /** False while the gameplay screen is off-screen or the tab is hidden */
+    this.demoActive = true;
+
+    /** What the alien cards on show promise — the next game scores by it */
+    this.alienPoints = { ...ALIEN_POINTS };
+
+    this._buildMiniAlienGrid();
+    this._initMiniGame();
+
+    /** Each alien's art by data-sprite, lifted from the page's own cards */
+    this.sprites = this._collectSprites();
+    /** Bumped per load, so a slow manifest can't overwrite a newer one */
+    this.contentSeq = 0;
+    /** Settles with loadContent()'s result for the page's manifest */
+    this.contentReady = this.loadContent(ContentManifest.url());
+    // Each language has its own manifest
+    this.stopLocaleWatch = appBus.on('locale:change', () => {
+      this.contentReady = this.loadContent(ContentManifest.url());
+    });
+
+    const screen = document.querySelector('.gameplay-screen');
+    this.releaseLifecycle = screen && lifecycle.watch({
+      element: screen,
+      resume:  () => this._resumeDemo(),
+      suspend: () => this._suspendDemo(),
+    });
+  }
+
+  /**
+   * Builds the animated mini alien grid inside the gameplay screen mockup.
+   * Creates DOM elements programmatically to keep HTML lean.
+   * Safe to call again — the grid is cleared first.
+   */
+  _buildMiniAlienGrid() {
+    const grid = document.getElementById('mini-grid');
+    if (!grid) return;
+    grid.innerHTML = '';
+
+    const ROWS = 4, COLS = 7;
+    // Track which cells are "alive" to animate score
+    const cells = [];
+
+    for (let r = 0; r < ROWS; r++) {
+      const row = document.createElement('div');
+      row.classList.add('mini-alien-row');
+      row.style.animationDelay = `${r * 0.08}s`;
+
+      for (let c = 0; c < COLS; c++) {
+        const cell = document.createElement('div');
+        cell.classList.add('mini-alien-cell');
+        // Random alpha for visual variety
+        cell.style.opacity = 0.6 + Math.random() * 0.4;
+        row.appendChild(cell);
+        cells.push(cell);
+      }
+      grid.appendChild(row);
+    }
+
+    // Simulate score incrementing as random aliens disappear
+    this._simulateGameplay(cells);
+  }
+
+  /**
+   * Simulates a simplified "game" by removing mini cells over time
+   * and incrementing the score display — the attract-mode demo shown
+   * until a visitor presses start.
+   */
+  _simulateGameplay(cells) {
+    const scoreEl = document.getElementById('demo-score');
+    if (!scoreEl) return;
+
+    let score = 360;
+    const pointValues = [10, 10, 20, 20, 30];
+    const shuffled = [...cells].sort(() => Math.random() - 0.5);
+    let idx = 0;
+    scoreEl.textContent = score.toString().padStart(4, '0');
+
+    const kill = () => {
+      if (idx >= shuffled.length) {
+        // All killed — reset after delay
+        this._scheduleDemo(() => {
+          shuffled.forEach(c => {
+            c.style.opacity = 0.6 + Math.random() * 0.4;
+            c.style.visibility = 'visible';
+          });
+          score = 360;
+          if (scoreEl) scoreEl.textContent = score.toString().padStart(4, '0');
+          idx = 0;
+          this._scheduleDemo(kill, 1200);
+        }, 3000);
+        return;
+      }
+      const cell = shuffled[idx++];
+      // "Explode" animation
+      cell.style.transition = 'opacity 0.2s, transform 0.2s';
+      cell.style.opacity = '0';
+      cell.style.transform = 'scale(2)';
+      setTimeout(() => {
+        cell.style.visibility = 'hidden';
+        cell.style.transform = '';
+      }, 200);
+
+      // Update score
+      const pts = pointValues[Math.floor(Math.random() * pointValues.length)];
+      score += pts;
+      if (scoreEl) scoreEl.textContent = score.toString().padStart(4, '0');
+
+      // Schedule next kill with variable timing (faster as fewer remain)
+      const delay = Math.max(200, 1200 - idx * 12);
+      this._scheduleDemo(kill, delay);
+    };
+
+    this._scheduleDemo(kill, 2000);
+  }
+
+  /**
+   * Queues the demo's next step. While suspended the step is only
+   * remembered, so the demo picks up where it left off.
+   */
+  _scheduleDemo(fn, delay) {
+    clearTimeout(this.demoTimer);
+    this.demoNext  = fn;
+    this.demoTimer = this.demoActive
+      ? setTimeout(() => { this.demoTimer = null; fn(); }, delay)
+      : null;
+  }
+
+  _suspendDemo() {
+    this.demoActive = false;
+    clearTimeout(this.demoTimer);
+    this.demoTimer = null;
+  }
+
+  _resumeDemo() {
+    this.demoActive = true;
+    if (this.demoNext && !this.demoTimer) this._scheduleDemo(this.demoNext, 600);
+  }
+
+  /**
+   * Public: abandons any game left on the screen so the demo runs again —
+   * the game's exit rebuilds the grid and restarts it
+   */
+  showDemo() {
+    if (this.game && this.game.state !== 'attract') this.game.exit();
+  }
+
+  /** Stops the cosmetic demo so the playable game owns the screen */
+  _stopDemo() {
+    clearTimeout(this.demoTimer);
+    this.demoTimer = null;
+    this.demoNext  = null;
+  }
+
+  /* ---- CONTENT ---- */
+
+  /**
+   * Public: renders a content manifest over the current sections. On any
+   * problem the page keeps what it shows and the reason goes to the console.
+   * @param {string} url
+   * @returns {Promise<boolean>} whether the manifest was rendered — false
+   *   too when a later loadContent() call overtook this one
+   */
+  async loadContent(url) {
+    const seq = ++this.contentSeq;
+    let content;
+    try {
+      content = await ContentManifest.load(url);
+    } catch (err) {
+      if (seq === this.contentSeq) console.error(`UIBuilder: keeping the current content — ${err.message}`);
+      return false;
+    }
+    if (seq !== this.contentSeq) return false;
+    this._renderContent(content);
+    appBus.emit('content:change', { url, version: content.version });
+    return true;
+  }
+
+  _collectSprites() {
+    const sprites = new Map();
+    document.querySelectorAll('.alien-card[data-sprite]').forEach(card => {
+      const art = card.querySelector('.alien-display');
+      if (art) sprites.set(card.dataset.sprite, art.cloneNode(true));
+    });
+    return sprites;
+  }
+
+  /** @param {object} content — a manifest that passed ContentManifest.validate() */
+  _renderContent(content) {
+    const points = { ...ALIEN_POINTS };
+    const fill = (selector, items, build) => {
+      const container = document.querySelector(selector);
+      if (container) container.replaceChildren(...items.map(build));
+    };
+
+    fill('.story-grid', content.story, card => {
+      const el = this._el('article', 'story-card glass-card');
+      const body = this._el('p', 'card-body');
+      this._appendText(body, card.body);
+      el.append(this._el('div', 'card-year', card.year), this._el('h3', 'card-title', card.title), body);
+      return el;
+    });
+
+    fill('.mechanics-list', content.mechanics, mechanic => {
+      const el = this._el('div', 'mechanic-item glass-card');
+      const text = this._el('div', 'mechanic-content');
+      const body = this._el('p');
+      this._appendText(body, mechanic.body);
+      text.append(this._el('h3', '', mechanic.title), body);
+      el.append(this._el('div', 'mechanic-icon', mechanic.icon), text);
+      return el;
+    });
+
+    fill('.aliens-showcase', content.aliens, alien => {
+      const el = this._el('article', 'alien-card glass-card');
+      el.dataset.points = alien.points;
+      el.dataset.sprite = alien.sprite;
+      const art = this.sprites.get(alien.sprite);
+      if (art) el.appendChild(art.cloneNode(true));
+
+      const info = this._el('div', 'alien-info');
+      const desc = this._el('p', 'alien-desc');
+      this._appendText(desc, alien.description);
+      info.append(
+        this._el('h3', 'alien-name', alien.name),
+        this._el('div', 'alien-points', alien.pointsLabel || i18n.t('aliens.points', { count: alien.points })),
+        desc
+      );
+      el.appendChild(info);
+
+      if (alien.sprite in points) points[alien.sprite] = alien.points;
+      return el;
+    });
+
+    // The playable game scores what the cards promise, from its next start
+    this.alienPoints = points;
+
+    fill('.stats-grid', content.stats, stat => {
+      const el = this._el('div', 'stat-card glass-card');
+      const number = this._el('div', 'stat-number', '0');
+      number.dataset.target = stat.target;
+      // The optional fields map straight onto StatCounter's attributes
+      ['decimals', 'prefix', 'suffix', 'notation', 'grouping', 'duration', 'easing'].forEach(key => {
+        if (key in stat) number.dataset[key] = stat[key];
+      });
+      if (stat.repeat) number.dataset.repeat = '';
+      el.append(number, this._el('div', 'stat-unit', stat.unit), this._el('div', 'stat-label', stat.label));
+      return el;
+    });
+
+    const quote = document.querySelector('.legacy-quote');
+    if (content.quote && quote) {
+      const cite = this._el('cite', '', content.quote.cite);
+      const footer = this._el('footer', '', '— ');
+      footer.appendChild(cite);
+      quote.replaceChildren(this._el('p', '', content.quote.text), footer);
+    }
+  }
+
+  /**
+   * @param {string} tag
+   * @param {string} [className]
+   * @param {string} [text]
+   */
+  _el(tag, className = '', text = '') {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text) el.textContent = text;
+    return el;
+  }
+
+  /** Appends manifest text, turning *asterisks* into <em> */
+  _appendText(parent, text) {
+    text.split(/\*([^*]+)\*/).forEach((part, i) => {
+      if (!part) return;
+      parent.append(i % 2 ? this._el('em', '', part) : part);
+    });
+  }
+
+  /**
+   * Hooks the playable game up to the gameplay screen.
+   * The demo runs until a visitor presses start and resumes after GAME OVER.
+   */
+  _initMiniGame() {
+    const screen = document.querySelector('.gameplay-screen');
+    if (!screen) return;
+
+    this.game = new MiniInvaders(screen, {
+      onStart: () => this._stopDemo(),
+      onExit:  () => this._buildMiniAlienGrid(),
+      points:  () => this.alienPoints,
+    });
+  }
+
+  destroy() {
+    this._stopDemo();
+    this.stopLocaleWatch();
+    if (this.releaseLifecycle) this.releaseLifecycle();
+    if (this.game) this.game.destroy();
+  }
+}
+
+/* ==========================================================================
+  MINI INVADERS
+  A small but complete Space Invaders running inside the .gameplay-screen
+  mockup: marching formation, bombs, destructible bunkers, lives, waves and
+  the mystery ship. Sprites are plain DOM nodes so the theme CSS still
+  styles them; all positions are in px relative to the screen face.
+   ========================================================================== */
+
+/** Axis-aligned box overlap test used by the mini-game collision checks */
+function boxesOverlap(ax, ay, aw, ah, bx, by, bw, bh) {
+  return ax < bx + bw && ax + aw > bx && ay < by + bh && ay + ah > by;
+}
+
+/** Uniform random number in [min, max) */
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+class MiniInvaders {
+  /**
+   * @param {HTMLElement} screenEl — the .gameplay-screen (focus target)
+   * @param {object}   [hooks]
+   * @param {Function} [hooks.onStart]
+   * @param {Function} [hooks.onExit]
+   * @param {() => Object<string, number>} [hooks.points] — alien values by
+   *   type, read as each game starts; ALIEN_POINTS without it
+   */
+  constructor(screenEl, { onStart, onExit, points } = {}) {
+    this.screen  = screenEl;
+    this.face    = screenEl.querySelector('.screen-face');
+    this.grid    = screenEl.querySelector('#mini-grid');
+    this.player  = screenEl.querySelector('.mini-player');
+    this.shipEl  = screenEl.querySelector('.mini-ship');
+    this.hudEl   = screenEl.querySelector('.screen-hud');
+    this.shieldEls = [...screenEl.querySelectorAll('.mini-shield')];
+    if (!this.face || !this.grid || !this.shipEl) return;
+
+    this.scoreEl   = document.getElementById('demo-score');
+    this.hiScoreEl = document.getElementById('demo-hiscore');
+    this.livesEl   = document.getElementById('demo-lives');
+
+    this.onStart = onStart;
+    this.onExit  = onExit;
+    this.getPoints = points;
+    /** Alien values for the game in progress — fixed at start() */
+    this.points = ALIEN_POINTS;
+
+    /** attract | playing | paused | dying | wave | initials | gameover */
+    this.state   = 'attract';
+    this.stopLoop = null;
+    /** True while the screen is off-screen or the tab is hidden */
+    this.suspended = false;
+    /** The page's placeholder hi-score, shown until a theme has a table */
+    this.defaultHiScore = this.hiScoreEl ? parseInt(this.hiScoreEl.textContent, 10) || 0 : 0;
+    this.hiScore = this.defaultHiScore;
+    /** Theme the HUD hi-score comes from */
+    this.theme = document.documentElement.dataset.theme;
+    /** Initials being entered: letter indices into INITIALS_ALPHABET, and the active slot */
+    this.initials = null;
+
+    this.keys     = { left: false, right: false, fire: false };
+    this.pointerX = null;
+
+    this._buildLayers();
+    this._bindEvents();
+    this._setMessage('game.pressStart', 'game.startHint');
+
+    // Out of sight: a live game pauses, and nothing ticks until it's back
+    this.releaseLifecycle = lifecycle.watch({
+      element: this.screen,
+      resume:  () => this._setSuspended(false),
+      suspend: () => this._setSuspended(true),
+    });
+  }
+
+  /* ---- SETUP ---- */
+
+  /** Sprite layer for bullets, bombs and the UFO, plus the message overlay */
+  _buildLayers() {
+    this.layer = document.createElement('div');
+    this.layer.className = 'mini-layer';
+    this.layer.setAttribute('aria-hidden', 'true');
+
+    this.bulletEl = document.createElement('div');
+    this.bulletEl.className = 'mini-bullet';
+    this.bulletEl.hidden = true;
+
+    this.ufoEl = document.createElement('div');
+    this.ufoEl.className = 'mini-ufo';
+    this.ufoEl.hidden = true;
+
+    this.layer.append(this.bulletEl, this.ufoEl);
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'mini-overlay';
+    this.overlay.setAttribute('aria-live', 'polite');
+
+    this.face.append(this.layer, this.overlay);
+  }
+
+  _bindEvents() {
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    const { signal } = this.events;
+
+    this.screen.addEventListener('keydown', (e) => this._onKeyDown(e), { signal });
+    this.screen.addEventListener('keyup',   (e) => this._onKeyUp(e), { signal });
+
+    // Leaving the screen pauses — otherwise held keys would keep steering
+    this.screen.addEventListener('focusout', (e) => {
+      if (this.screen.contains(e.relatedTarget)) return;
+      this._releaseInput();
+      if (this.state === 'playing') this.pause();
+    }, { signal });
+
+    this.face.addEventListener('pointerdown', (e) => this._onPointerDown(e), { signal });
+    this.face.addEventListener('pointermove', (e) => {
+      if (this.pointerX !== null) this.pointerX = this._toFieldX(e.clientX);
+    }, { signal });
+    const release = () => { this.pointerX = null; this.keys.fire = false; };
+    this.face.addEventListener('pointerup', release, { signal });
+    this.face.addEventListener('pointercancel', release, { signal });
+
+    this.stopResizeWatch = appBus.on('viewport:resize', () => this._onResize());
+    this.stopGamepadWatch = appBus.on('gamepad:button', (e) => this._onGamepadButton(e));
+    this.stopScoreWatch = [
+      appBus.on('theme:change', ({ theme }) => {
+        this.theme = theme;
+        this._refreshHiScore();
+      }, { replay: true }),
+      highScores.onChange(() => this._refreshHiScore()),
+    ];
+  }
+
+  /* ---- INPUT ---- */
+
+  _onKeyDown(e) {
+    const key = e.key;
+
+    if (this.state === 'initials') {
+      const action = {
+        ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'back', ArrowRight: 'next',
+        Enter: 'next', ' ': 'next', Backspace: 'back',
+      }[key];
+      if (action) this._onInitialsInput(action);
+      else if (key.length === 1 && INITIALS_ALPHABET.includes(key.toUpperCase())) this._onInitialsInput('type', key.toUpperCase());
+      else return;
+      e.preventDefault();
+      // Initials aren't typing a cheat — "UFO" shouldn't summon one
+      e.stopPropagation();
+      return;
+    }
+
+    if (this.state === 'attract' || this.state === 'gameover') {
+      if (key === 'Enter' || key === ' ') {
+        e.preventDefault();
+        this.start();
+      }
+      return;
+    }
+
+    switch (key) {
+      case 'ArrowLeft':  case 'a': case 'A': this.keys.left  = true; break;
+      case 'ArrowRight': case 'd': case 'D': this.keys.right = true; break;
+      case ' ': case 'ArrowUp': case 'w': case 'W': this.keys.fire = true; break;
+      case 'p': case 'P': case 'Escape': this.togglePause(); break;
+      case 'Enter': if (this.state === 'paused') this.resume(); break;
+      default: return;
+    }
+    e.preventDefault();
+  }
+
+  _onKeyUp(e) {
+    switch (e.key) {
+      case 'ArrowLeft':  case 'a': case 'A': this.keys.left  = false; break;
+      case 'ArrowRight': case 'd': case 'D': this.keys.right = false; break;
+      case ' ': case 'ArrowUp': case 'w': case 'W': this.keys.fire = false; break;
+    }
+  }
+
+  /**
+   * Pads drive the game only while the screen has focus — the same rule
+   * as the keyboard, so a pad browsing the page never fires by accident
+   * @param {{ button: string, pressed: boolean }} e
+   */
+  _onGamepadButton({ button, pressed }) {
+    if (!this.screen.contains(document.activeElement)) return;
+
+    if (this.state === 'initials') {
+      const action = { up: 'up', down: 'down', left: 'back', right: 'next', a: 'next', start: 'next', b: 'back' }[button];
+      if (pressed && action) this._onInitialsInput(action);
+      return;
+    }
+
+    if (this.state === 'attract' || this.state === 'gameover') {
+      if (pressed && (button === 'a' || button === 'start')) this.start();
+      return;
+    }
+
+    switch (button) {
+      case 'left':  this.keys.left  = pressed; break;
+      case 'right': this.keys.right = pressed; break;
+      case 'a':     this.keys.fire  = pressed; break;
+      case 'start': if (pressed) this.togglePause(); break;
+    }
+  }
+
+  /** Touch / mouse: press to fire, drag to steer */
+  _onPointerDown(e) {
+    this.screen.focus({ preventScroll: true });
+
+    // No keys to hand — a tap takes the letter as it stands
+    if (this.state === 'initials') {
+      this._onInitialsInput('next');
+      return;
+    }
+
+    if (this.state === 'attract' || this.state === 'gameover') {
+      this.start();
+      return;
+    }
+    if (this.state === 'paused') {
+      this.resume();
+      return;
+    }
+
+    e.preventDefault();
+    this.face.setPointerCapture(e.pointerId);
+    this.pointerX  = this._toFieldX(e.clientX);
+    this.keys.fire = true;
+  }
+
+  _releaseInput() {
+    this.keys.left = this.keys.right = this.keys.fire = false;
+    this.pointerX = null;
+  }
+
+  /** Viewport x → playfield x */
+  _toFieldX(clientX) {
+    const rect = this.face.getBoundingClientRect();
+    return clientX - rect.left - this.face.clientLeft;
+  }
+
+  /* ---- PUBLIC CONTROL ---- */
+
+  /** Starts a fresh game from wave 1 */
+  start() {
+    if (this.state === 'attract' && this.onStart) this.onStart();
+
+    this.score     = 0;
+    this.lives     = MINI_GAME_CONFIG.lives;
+    this.wave      = 1;
+    this.shotCount = 0;
+    // New content mid-game mustn't change what a hit is worth
+    this.points    = { ...ALIEN_POINTS, ...(this.getPoints ? this.getPoints() : {}) };
+
+    this.face.classList.add('is-playing');
+    this._buildShields();
+    this._measure();
+    this._spawnWave();
+    this._updateHud();
+    this._setMessage();
+    this._setState('playing');
+  }
+
+  pause() {
+    if (this.state !== 'playing') return;
+    this._setState('paused');
+    this._setMessage('game.paused', 'game.resumeHint');
+  }
+
+  resume() {
+    if (this.state !== 'paused') return;
+    this._setMessage();
+    this._setState('playing');
+  }
+
+  togglePause() {
+    this.state === 'paused' ? this.resume() : this.pause();
+  }
+
+  /** Tears the game down and hands the screen back to the demo */
+  exit() {
+    this._setState('attract');
+    this.initials = null;
+    this._releaseInput();
+    this._clearProjectiles();
+    this._restoreShields();
+
+    this._removeUfo();
+
+    this.grid.innerHTML = '';
+    this.shipEl.style.transform = '';
+    this.shipEl.classList.remove('is-hit');
+    this.face.classList.remove('is-playing');
+    this._setMessage('game.pressStart', 'game.startHint');
+
+    if (this.onExit) this.onExit();
+  }
+
+  /** Stops the game for good and removes everything it added */
+  destroy() {
+    if (!this.events) return;
+    this.events.abort();
+    this.stopResizeWatch();
+    this.stopGamepadWatch();
+    this.stopScoreWatch.forEach(stop => stop());
+    this.releaseLifecycle();
+    this.onExit = null;
+    this.exit();
+    this.layer.remove();
+    this.overlay.remove();
+  }
+
+  /* ---- STATE & LOOP ---- */
+
+  /**
+   * Switches state and stays subscribed to the FrameClock only while
+   * something on screen actually moves.
+   * @param {string} state
+   * @param {number} [duration] — seconds before the state times out
+   */
+  _setState(state, duration = 0) {
+    this.state      = state;
+    this.stateTimer = duration;
+    this._syncLoop();
+  }
+
+  /** @param {boolean} suspended */
+  _setSuspended(suspended) {
+    this.suspended = suspended;
+    if (suspended && this.state === 'playing') this.pause();
+    this._syncLoop();
+  }
+
+  _syncLoop() {
+    const state    = this.state;
+    const animated = !this.suspended &&
+      (state === 'playing' || state === 'dying' || state === 'wave' || state === 'initials' || state === 'gameover');
+    if (animated && !this.stopLoop) {
+      this.stopLoop = frameClock.subscribe(dt => this._loop(dt));
+    } else if (!animated && this.stopLoop) {
+      this.stopLoop();
+      this.stopLoop = null;
+    }
+  }
+
+  /** @param {number} dtMs — clamped frame delta from the FrameClock */
+  _loop(dtMs) {
+    // Game physics works in seconds; cap a frame so collisions can't tunnel
+    const dt = Math.min(dtMs / 1000, 0.05);
+
+    if (this.state === 'playing') {
+      this._update(dt);
+    } else {
+      this.stateTimer -= dt;
+      if (this.stateTimer <= 0) this._onStateTimeout();
+    }
+
+    if (this.state === 'attract' || this.state === 'paused') return;
+    this._render();
+  }
+
+  _onStateTimeout() {
+    if (this.state === 'dying') {
+      if (this.lives <= 0) {
+        this._gameOver();
+        return;
+      }
+      this.shipEl.classList.remove('is-hit');
+      this.shipX = this.W / 2;
+      this._setState('playing');
+    } else if (this.state === 'wave') {
+      this._setMessage();
+      this._spawnWave();
+      this._setState('playing');
+    } else if (this.state === 'initials') {
+      // Walked away mid-entry — keep what's there
+      this._submitInitials();
+    } else if (this.state === 'gameover') {
+      this.exit();
+    }
+  }
+
+  /* ---- LAYOUT ---- */
+
+  /** Reads the playfield geometry from the current layout */
+  _measure() {
+    const faceRect = this.face.getBoundingClientRect();
+    const originX  = faceRect.left + this.face.clientLeft;
+    const originY  = faceRect.top  + this.face.clientTop;
+
+    this.W = this.face.clientWidth;
+    this.H = this.face.clientHeight;
+    this.fieldTop = this.hudEl
+      ? this.hudEl.offsetTop + this.hudEl.offsetHeight
+      : 0;
+
+    // Ship: measured untransformed so the offset can be reapplied
+    const prevTransform = this.shipEl.style.transform;
+    this.shipEl.style.transform = '';
+    const shipRect = this.shipEl.getBoundingClientRect();
+    this.shipEl.style.transform = prevTransform;
+
+    this.shipW     = shipRect.width;
+    this.shipH     = shipRect.height;
+    this.shipY     = shipRect.top - originY;
+    this.shipHomeX = shipRect.left - originX + shipRect.width / 2;
+    if (this.shipX === undefined) this.shipX = this.shipHomeX;
+
+    // Shield chunks
+    this.chunks.forEach(chunk => {
+      const r = chunk.el.getBoundingClientRect();
+      chunk.x = r.left - originX;
+      chunk.y = r.top  - originY;
+      chunk.w = r.width;
+      chunk.h = r.height;
+    });
+  }
+
+  _onResize() {
+    if (this.state === 'attract') return;
+    const oldW = this.W;
+    this._measure();
+    const scale = this.W / oldW;
+    this.fx     *= scale;
+    this.shipX  *= scale;
+    this._layoutAliens();
+  }
+
+  /** Splits each bunker into chunks that erode one at a time */
+  _buildShields() {
+    const { shieldCols, shieldRows } = MINI_GAME_CONFIG;
+    this.chunks = [];
+    this.shieldEls.forEach(shield => {
+      shield.innerHTML = '';
+      for (let i = 0; i < shieldCols * shieldRows; i++) {
+        const el = document.createElement('span');
+        el.className = 'mini-shield-chunk';
+        shield.appendChild(el);
+        this.chunks.push({ el, alive: true, x: 0, y: 0, w: 0, h: 0 });
+      }
+    });
+  }
+
+  _restoreShields() {
+    this.shieldEls.forEach(shield => { shield.innerHTML = ''; });
+    this.chunks = [];
+  }
+
+  /**
+   * Erodes bunker chunks overlapping a box.
+   * @param {boolean} all — erase every overlapping chunk (aliens ploughing through)
+   * @param {boolean} fromBelow — player shots chew from the bottom up
+   * @returns {boolean} whether anything was hit
+   */
+  _hitShield(x, y, w, h, { all = false, fromBelow = false } = {}) {
+    let hit = false;
+    const n = this.chunks.length;
+    for (let k = 0; k < n; k++) {
+      const chunk = this.chunks[fromBelow ? n - 1 - k : k];
+      if (!chunk.alive || !boxesOverlap(x, y, w, h, chunk.x, chunk.y, chunk.w, chunk.h)) continue;
+      chunk.alive = false;
+      chunk.el.classList.add('is-gone');
+      hit = true;
+      if (!all) break;
+    }
+    return hit;
+  }
+
+  /* ---- WAVES ---- */
+
+  _spawnWave() {
+    const cfg = MINI_GAME_CONFIG;
+    this.grid.innerHTML = '';
+    this.aliens = [];
+
+    cfg.rows.forEach((type, row) => {
+      for (let col = 0; col < cfg.cols; col++) {
+        const el = document.createElement('div');
+        el.className = `mini-alien-cell mini-alien--${type}`;
+        this.grid.appendChild(el);
+        this.aliens.push({ el, type, row, col, alive: true });
+      }
+    });
+
+    const formationW = cfg.cols * cfg.cellW + (cfg.cols - 1) * cfg.gapX;
+    this.fx  = (this.W - formationW) / 2;
+    this.fy  = this.fieldTop + cfg.topMargin + Math.min(this.wave - 1, cfg.maxWaveDrop) * cfg.stepY;
+    this.dir = 1;
+    this.frame     = 0;
+    this.stepTimer = 0;
+
+    this._clearProjectiles();
+    this._removeUfo();
+    this.shipX     = this.W / 2;
+    this.bombTimer = randomBetween(...cfg.bombCooldown);
+    this._layoutAliens();
+  }
+
+  _aliveAliens() {
+    return this.aliens.filter(a => a.alive);
+  }
+
+  _alienX(a) {
+    return this.fx + a.col * (MINI_GAME_CONFIG.cellW + MINI_GAME_CONFIG.gapX);
+  }
+
+  _alienY(a) {
+    return this.fy + a.row * (MINI_GAME_CONFIG.cellH + MINI_GAME_CONFIG.gapY);
+  }
+
+  _layoutAliens() {
+    this.aliens.forEach(a => {
+      if (!a.alive) return;
+      a.el.style.transform = `translate(${this._alienX(a)}px, ${this._alienY(a)}px)`;
+      a.el.classList.toggle('is-step', this.frame % 2 === 1);
+    });
+  }
+
+  /** Seconds between march steps — fewer aliens and later waves march faster */
+  _stepInterval() {
+    const cfg   = MINI_GAME_CONFIG;
+    const alive = this._aliveAliens().length;
+    const ratio = alive / this.aliens.length;
+    const base  = cfg.stepIntervalMin + (cfg.stepIntervalMax - cfg.stepIntervalMin) * ratio * ratio;
+    return base * Math.pow(cfg.waveSpeedup, this.wave - 1);
+  }
+
+  /** One tick of the classic march: sideways, or drop and reverse at an edge */
+  _march() {
+    const cfg   = MINI_GAME_CONFIG;
+    const alive = this._aliveAliens();
+    if (!alive.length) return;
+
+    const left  = Math.min(...alive.map(a => this._alienX(a)));
+    const right = Math.max(...alive.map(a => this._alienX(a))) + cfg.cellW;
+    const next  = this.dir * cfg.stepX;
+
+    if (left + next < cfg.sideMargin || right + next > this.W - cfg.sideMargin) {
+      this.fy  += cfg.stepY;
+      this.dir *= -1;
+    } else {
+      this.fx += next;
+    }
+    this.frame++;
+    this._layoutAliens();
+
+    // Aliens plough through bunkers and end the game on reaching the cannon
+    alive.forEach(a => {
+      const x = this._alienX(a), y = this._alienY(a);
+      this._hitShield(x, y, cfg.cellW, cfg.cellH, { all: true });
+      if (y + cfg.cellH >= this.shipY) this.lives = 0;
+    });
+    if (this.lives === 0) this._killPlayer();
+  }
+
+  /* ---- SIMULATION ---- */
+
+  _update(dt) {
+    const cfg = MINI_GAME_CONFIG;
+
+    // Ship — keyboard velocity, or chase the pointer
+    let vx = (this.keys.right ? 1 : 0) - (this.keys.left ? 1 : 0);
+    if (this.pointerX !== null) {
+      const diff = this.pointerX - this.shipX;
+      vx = Math.abs(diff) < 1 ? 0 : Math.sign(diff) * Math.min(1, Math.abs(diff) / 8);
+    }
+    this.shipX += vx * cfg.shipSpeed * dt;
+    this.shipX  = Math.max(this.shipW / 2, Math.min(this.W - this.shipW / 2, this.shipX));
+
+    if (this.keys.fire) this._fire();
+
+    this._updateBullet(dt);
+    this._updateBombs(dt);
+    this._updateUfo(dt);
+    if (this.state !== 'playing') return;
+
+    this.stepTimer -= dt;
+    if (this.stepTimer <= 0) {
+      this.stepTimer = this._stepInterval();
+      this._march();
+    }
+  }
+
+  /** One player shot on screen at a time, as in the original */
+  _fire() {
+    if (this.bullet) return;
+    this.shotCount++;
+    this.bullet = { x: this.shipX - 1, y: this.shipY - 6, w: 2, h: 6 };
+    this.bulletEl.hidden = false;
+  }
+
+  _updateBullet(dt) {
+    const b = this.bullet;
+    if (!b) return;
+    const cfg = MINI_GAME_CONFIG;
+    b.y -= cfg.bulletSpeed * dt;
+
+    if (b.y + b.h < this.fieldTop) return this._removeBullet();
+    if (this._hitShield(b.x, b.y, b.w, b.h, { fromBelow: true })) return this._removeBullet();
+
+    // Bullets can cancel bombs head-on
+    const bomb = this.bombs.find(o => boxesOverlap(b.x, b.y, b.w, b.h, o.x, o.y, o.w, o.h));
+    if (bomb) {
+      this._removeBomb(bomb);
+      return this._removeBullet();
+    }
+
+    const alien = this.aliens.find(a =>
+      a.alive && boxesOverlap(b.x, b.y, b.w, b.h, this._alienX(a), this._alienY(a), cfg.cellW, cfg.cellH)
+    );
+    if (alien) {
+      this._killAlien(alien);
+      return this._removeBullet();
+    }
+
+    const u = this.ufo;
+    if (u && !u.hit && boxesOverlap(b.x, b.y, b.w, b.h, u.x, u.y, u.w, u.h)) {
+      this._killUfo();
+      this._removeBullet();
+    }
+  }
+
+  _removeBullet() {
+    this.bullet = null;
+    this.bulletEl.hidden = true;
+  }
+
+  _killAlien(alien) {
+    alien.alive = false;
+    alien.el.classList.add('is-hit');
+    setTimeout(() => { alien.el.style.visibility = 'hidden'; }, 200);
+    this._addScore(this.points[alien.type]);
+
+    if (!this._aliveAliens().length) {
+      this.wave++;
+      this._clearProjectiles();
+      this._setMessage(['game.wave', { wave: this.wave }], 'game.getReady');
+      this._setState('wave', MINI_GAME_CONFIG.wavePause);
+    }
+  }
+
+  /* ---- ALIEN BOMBS ---- */
+
+  _updateBombs(dt) {
+    const cfg = MINI_GAME_CONFIG;
+
+    this.bombTimer -= dt;
+    const maxBombs = cfg.maxBombs + Math.floor((this.wave - 1) / 2);
+    if (this.bombTimer <= 0 && this.bombs.length < maxBombs) {
+      this._dropBomb();
+      this.bombTimer = randomBetween(...cfg.bombCooldown) / (1 + 0.15 * (this.wave - 1));
+    }
+
+    for (const bomb of [...this.bombs]) {
+      bomb.y += cfg.bombSpeed * (1 + 0.08 * (this.wave - 1)) * dt;
+
+      if (bomb.y > this.H) {
+        this._removeBomb(bomb);
+      } else if (this._hitShield(bomb.x, bomb.y, bomb.w, bomb.h)) {
+        this._removeBomb(bomb);
+      } else if (boxesOverlap(bomb.x, bomb.y, bomb.w, bomb.h,
+        this.shipX - this.shipW / 2, this.shipY, this.shipW, this.shipH)) {
+        this._removeBomb(bomb);
+        this.lives--;
+        this._killPlayer();
+        return;
+      }
+    }
+  }
+
+  /** The lowest alien of a column fires — half the time the one above the cannon */
+  _dropBomb() {
+    const cfg   = MINI_GAME_CONFIG;
+    const alive = this._aliveAliens();
+    if (!alive.length) return;
+
+    const colStep = cfg.cellW + cfg.gapX;
+    const aimCol  = Math.round((this.shipX - this.fx - cfg.cellW / 2) / colStep);
+    const cols    = [...new Set(alive.map(a => a.col))];
+    const col     = Math.random() < 0.5 && cols.includes(aimCol)
+      ? aimCol
+      : cols[Math.floor(Math.random() * cols.length)];
+
+    const shooter = alive
+      .filter(a => a.col === col)
+      .reduce((low, a) => (a.row > low.row ? a : low));
+
+    const el = document.createElement('div');
+    el.className = 'mini-bomb';
+    this.layer.appendChild(el);
+    this.bombs.push({
+      el,
+      x: this._alienX(shooter) + cfg.cellW / 2 - 1.5,
+      y: this._alienY(shooter) + cfg.cellH,
+      w: 3,
+      h: 6,
+    });
+  }
+
+  _removeBomb(bomb) {
+    bomb.el.remove();
+    this.bombs = this.bombs.filter(o => o !== bomb);
+  }
+
+  /* ---- MYSTERY SHIP ---- */
+
+  _updateUfo(dt) {
+    const cfg = MINI_GAME_CONFIG;
+
+    if (!this.ufo) {
+      this.ufoTimer -= dt;
+      if (this.ufoTimer <= 0 && this._aliveAliens().length >= cfg.ufoMinAliens) {
+        const dir = this.shotCount % 2 === 0 ? 1 : -1;
+        const w = 18, h = 8;
+        this.ufo = { x: dir > 0 ? -w : this.W, y: this.fieldTop + 4, w, h, dir, hit: false };
+        this.ufoEl.hidden = false;
+        this.ufoEl.textContent = '';
+        this.ufoEl.classList.remove('is-hit');
+      }
+      return;
+    }
+
+    const u = this.ufo;
+    if (u.hit) return;
+    u.x += u.dir * cfg.ufoSpeed * dt;
+    if (u.x > this.W || u.x + u.w < 0) this._removeUfo();
+  }
+
+  _killUfo() {
+    const pts = this.shotCount >= 23 && (this.shotCount - 23) % 15 === 0
+      ? 300
+      : UFO_POINTS[this.shotCount % UFO_POINTS.length];
+    this.ufo.hit = true;
+    this._addScore(pts);
+
+    // Show the bonus where the ship was, then clear it
+    this.ufoEl.classList.add('is-hit');
+    this.ufoEl.textContent = pts;
+    const ufo = this.ufo;
+    setTimeout(() => { if (this.ufo === ufo) this._removeUfo(); }, 900);
+  }
+
+  _removeUfo() {
+    this.ufo = null;
+    this.ufoEl.hidden = true;
+    this.ufoTimer = randomBetween(...MINI_GAME_CONFIG.ufoInterval);
+  }
+
+  /* ---- PLAYER ---- */
+
+  _killPlayer() {
+    this._clearProjectiles();
+    this._removeUfo();
+    this.lives = Math.max(0, this.lives);
+    this._updateHud();
+    this.shipEl.classList.add('is-hit');
+    this._setState('dying', MINI_GAME_CONFIG.deathPause);
+  }
+
+  _gameOver() {
+    this._setMessage('game.over', 'game.playAgain');
+    this._setState('gameover', MINI_GAME_CONFIG.attractDelay);
+
+    const { theme, score } = this;
+    highScores.qualifies(theme, score).then(qualifies => {
+      // Only if the visitor hasn't moved on meanwhile
+      if (qualifies && this.state === 'gameover' && this.score === score) this._enterInitials(theme);
+    }, (err) => console.warn('MiniInvaders: high scores unavailable —', err));
+  }
+
+  /* ---- INITIALS ---- */
+
+  /** @param {string} theme — the table the score goes on */
+  _enterInitials(theme) {
+    this.initials = { theme, letters: [0, 0, 0], slot: 0 };
+    this._setState('initials', MINI_GAME_CONFIG.initialsTimeout);
+    this._renderInitials();
+  }
+
+  /**
+   * Cabinet-style entry: up/down roll the letter, next takes it and moves
+   * on (the third one submits), back steps to the previous slot. Typing a
+   * character sets the slot directly.
+   * @param {'up'|'down'|'next'|'back'|'type'} action
+   * @param {string} [char] — for 'type'
+   */
+  _onInitialsInput(action, char) {
+    const entry = this.initials;
+    const size  = INITIALS_ALPHABET.length;
+    this.stateTimer = MINI_GAME_CONFIG.initialsTimeout;
+
+    switch (action) {
+      case 'up':   entry.letters[entry.slot] = (entry.letters[entry.slot] + 1) % size; break;
+      case 'down': entry.letters[entry.slot] = (entry.letters[entry.slot] - 1 + size) % size; break;
+      case 'back': entry.slot = Math.max(0, entry.slot - 1); break;
+      case 'type':
+        entry.letters[entry.slot] = INITIALS_ALPHABET.indexOf(char);
+        // falls through — a typed letter is taken straight away
+      case 'next':
+        if (entry.slot === 2) {
+          this._submitInitials();
+          return;
+        }
+        entry.slot++;
+        break;
+    }
+    this._renderInitials();
+  }
+
+  _renderInitials() {
+    const { letters, slot } = this.initials;
+    this._setMessage('game.newHighScore', ['game.score', { score: this.score.toString().padStart(4, '0') }]);
+
+    const slots = document.createElement('span');
+    slots.className = 'mini-initials';
+    letters.forEach((letter, i) => {
+      const el = document.createElement('span');
+      el.className = i === slot ? 'mini-initial is-current' : 'mini-initial';
+      el.textContent = INITIALS_ALPHABET[letter];
+      slots.appendChild(el);
+    });
+
+    const hint = document.createElement('span');
+    hint.dataset.i18n = 'game.initialsHint';
+    hint.textContent = i18n.t('game.initialsHint');
+    this.overlay.append(slots, hint);
+  }
+
+  _submitInitials() {
+    const { theme, letters } = this.initials;
+    const initials = letters.map(i => INITIALS_ALPHABET[i]).join('');
+    const score = this.score;
+    this.initials = null;
+    this._setMessage('game.over', 'game.playAgain');
+    this._setState('gameover', MINI_GAME_CONFIG.attractDelay);
+
+    highScores.submit(theme, initials, score).then(rank => {
+      if (rank >= 0 && this.state === 'gameover' && this.score === score) {
+        this._setMessage('game.over', ['game.ranked', { initials, rank: rank + 1 }], 'game.playAgain');
+      }
+    }, (err) => console.warn('MiniInvaders: score not saved —', err));
+  }
+
+  _clearProjectiles() {
+    this._removeBullet();
+    (this.bombs || []).forEach(bomb => bomb.el.remove());
+    this.bombs = [];
+  }
+
+  /* ---- HUD & RENDER ---- */
+
+  _addScore(pts) {
+    this.score += pts;
+    if (this.score > this.hiScore) this.hiScore = this.score;
+    this._updateHud();
+  }
+
+  /** HUD hi-score: the best on the current theme's table, or the page's placeholder */
+  async _refreshHiScore() {
+    const theme = this.theme;
+    let table;
+    try {
+      table = await highScores.table(theme);
+    } catch (err) {
+      console.warn('MiniInvaders: high scores unavailable —', err);
+      return;
+    }
+    if (theme !== this.theme) return;
+    const best = table.length ? table[0].score : this.defaultHiScore;
+    this.hiScore = this.state === 'attract' ? best : Math.max(best, this.score);
+    if (this.hiScoreEl) this.hiScoreEl.textContent = this.hiScore.toString().padStart(4, '0');
+  }
+
+  _updateHud() {
+    if (this.scoreEl)   this.scoreEl.textContent   = this.score.toString().padStart(4, '0');
+    if (this.hiScoreEl) this.hiScoreEl.textContent = this.hiScore.toString().padStart(4, '0');
+    if (this.livesEl)   this.livesEl.textContent   = '▶ '.repeat(this.lives).trim() || '—';
+  }
+
+  /**
+   * Shows a centered message over the playfield, or hides it when empty.
+   * Lines are tagged with data-i18n, so a language switch mid-message
+   * retranslates them in place.
+   * @param {...(string|[string, object])} lines — catalog keys, or [key, params]
+   */
+  _setMessage(...lines) {
+    this.overlay.innerHTML = '';
+    lines.forEach((line, i) => {
+      const [key, params] = [].concat(line);
+      const el = document.createElement(i === 0 ? 'strong' : 'span');
+      el.dataset.i18n = key;
+      if (params) el.dataset.i18nParams = JSON.stringify(params);
+      el.textContent = i18n.t(key, params);
+      this.overlay.appendChild(el);
+    });
+    this.overlay.hidden = lines.length === 0;
+  }
+
+  /** Writes per-frame positions — only the things that move every frame */
+  _render() {
+    this.shipEl.style.transform = `translateX(${this.shipX - this.shipHomeX}px)`;
+
+    if (this.bullet) {
+      this.bulletEl.style.transform = `translate(${this.bullet.x}px, ${this.bullet.y}px)`;
+    }
+    this.bombs.forEach(bomb => {
+      bomb.el.style.transform = `translate(${bomb.x}px, ${bomb.y}px)`;
+    });
+    if (this.ufo) {
+      this.ufoEl.style.transform = `translate(${this.ufo.x}px, ${this.ufo.y}px)`;
+    }
+  }
+}
+
+/* ==========================================================================
+  HIGH SCORES
+  A top-10 table per theme, kept by whichever ScoreStore is plugged in —
+  IndexedDB by default. MiniInvaders takes initials when a game makes the
+  table; LeaderboardPanel shows the tables and moves them in and out as
+  JSON.
+   ========================================================================== */
+
+/** Entries kept per theme */
+const HIGH_SCORE_TABLE_SIZE = 10;
+
+/** Characters an initials slot cycles through, in order */
+const INITIALS_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.';
+
+/** Version stamped into exported JSON — import() refuses anything else */
+const HIGH_SCORE_EXPORT_VERSION = 1;
+
+/**
+ * @typedef {object} ScoreEntry
+ * @property {string} initials — three INITIALS_ALPHABET characters
+ * @property {number} score
+ * @property {string} date     — ISO timestamp of the game
+ */
+
+/**
+ * Where tables live. Implement these three to keep scores somewhere else
+ * (a self-hosted backend, say) and hand it to highScores.setStore().
+ * Tables arrive already ranked and trimmed; a store only keeps them.
+ * @typedef {object} ScoreStore
+ * @property {(theme: string) => Promise<ScoreEntry[]>} get — [] when there is none
+ * @property {(theme: string, entries: ScoreEntry[]) => Promise<void>} put — replaces the table
+ * @property {() => Promise<string[]>} themes — every theme with a table
+ */
+
+/**
+ * @implements {ScoreStore}
+ * Keeps tables for this page load only — the fallback when IndexedDB is
+ * missing or blocked, and the simplest example of a store.
+ */
+class MemoryScoreStore {
+  constructor() {
+    /** @type {Map<string, ScoreEntry[]>} */
+    this.tables = new Map();
+  }
+
+  async get(theme) {
+    return (this.tables.get(theme) || []).map(entry => ({ ...entry }));
+  }
+
+  async put(theme, entries) {
+    this.tables.set(theme, entries.map(entry => ({ ...entry })));
+  }
+
+  async themes() {
+    return [...this.tables.keys()];
+  }
+}
+
+/**
+ * @implements {ScoreStore}
+ * One object store, keyed by theme id, holding each table as an array.
+ */
+class IndexedDBScoreStore {
+  /** @param {string} [name] — database name */
+  constructor(name = 'si-scores') {
+    this.name = name;
+    /** @type {Promise<IDBDatabase>|null} */
+    this.db = null;
+  }
+
+  async get(theme) {
+    return (await this._request('readonly', store => store.get(theme))) || [];
+  }
+
+  async put(theme, entries) {
+    await this._request('readwrite', store => store.put(entries, theme));
+  }
+
+  async themes() {
+    return this._request('readonly', store => store.getAllKeys());
+  }
+
+  _open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const req = indexedDB.open(this.name, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('tables');
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+        req.onblocked = () => reject(new Error('IndexedDBScoreStore: database blocked by another tab'));
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Runs one request in its own transaction
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest} fn
+   * @returns {Promise<*>} the request's result, once the transaction commits
+   */
+  async _request(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx  = db.transaction('tables', mode);
+      const req = fn(tx.objectStore('tables'));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error || new Error('IndexedDBScoreStore: transaction aborted'));
+    });
+  }
+}
+
+class HighScores {
+  /** @param {ScoreStore} store */
+  constructor(store) {
+    this.store = store;
+    /** @type {Array<(change: { theme: string|null, rank?: number }) => void>} */
+    this.listeners = [];
+    /** Tail of the current store's read-modify-write queue (see _serially) */
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Public: swaps the storage behind the tables — existing scores stay
+   * where they were, so move them across with export()/import() if needed
+   * @param {ScoreStore} store
+   */
+  setStore(store) {
+    this.store = store;
+    this.writes = Promise.resolve();
+    this._notify({ theme: null });
+  }
+
+  /**
+   * Public: subscribe to table changes. `theme` is null when every table
+   * may have changed; `rank` is set for a fresh entry.
+   * @returns {Function} unsubscribe
+   */
+  onChange(fn) {
+    this.listeners.push(fn);
+    return () => { this.listeners = this.listeners.filter(l => l !== fn); };
+  }
+
+  /**
+   * @param {string} theme
+   * @returns {Promise<ScoreEntry[]>} best first
+   */
+  table(theme) {
+    return this._use(store => store.get(theme));
+  }
+
+  /**
+   * Whether a score would make the theme's table
+   * @returns {Promise<boolean>}
+   */
+  async qualifies(theme, score) {
+    if (score <= 0) return false;
+    const table = await this.table(theme);
+    return table.length < HIGH_SCORE_TABLE_SIZE || score > table[table.length - 1].score;
+  }
+
+  /**
+   * Adds a score. Ties keep the older entry ahead, like the cabinets did.
+   * @param {string} theme
+   * @param {string} initials
+   * @param {number} score
+   * @returns {Promise<number>} 0-based rank, or -1 if it didn't make the table
+   */
+  async submit(theme, initials, score) {
+    const entry = HighScores.validate({ initials, score, date: new Date().toISOString() });
+    return this._serially(async () => {
+      const table = HighScores.rank([...(await this.table(theme)), entry]);
+      const rank  = table.indexOf(entry);
+      if (rank === -1) return -1;
+
+      await this._use(store => store.put(theme, table));
+      this._notify({ theme, rank });
+      return rank;
+    });
+  }
+
+  /**
+   * Public: every table as JSON, ready to save to a file
+   * @returns {Promise<string>}
+   */
+  async export() {
+    const tables = {};
+    for (const theme of await this._use(store => store.themes())) {
+      tables[theme] = await this.table(theme);
+    }
+    return JSON.stringify({ version: HIGH_SCORE_EXPORT_VERSION, exported: new Date().toISOString(), tables }, null, 2);
+  }
+
+  /**
+   * Public: merges tables from export() output into the current ones.
+   * Everything is checked before anything is written, so a bad file
+   * changes nothing.
+   * @param {string} json
+   * @returns {Promise<number>} entries that made it onto a table
+   * @throws {Error} when the JSON or any entry in it is malformed — with
+   *   `code` ('format', 'version', 'initials', 'score' or 'date') and
+   *   `params` for the leaderboard.importError.<code> message
+   */
+  async import(json) {
+    const fail = (code, message, params = {}) =>
+      Object.assign(new Error(`HighScores: ${message}`), { code, params });
+
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (err) {
+      throw fail('format', `import is not valid JSON (${err.message})`);
+    }
+    if (!data || typeof data !== 'object') throw fail('format', 'import must be a JSON object');
+    if (data.version !== HIGH_SCORE_EXPORT_VERSION) {
+      throw fail('version',
+        `unsupported export version ${JSON.stringify(data.version)} (expected ${HIGH_SCORE_EXPORT_VERSION})`,
+        { version: String(data.version) });
+    }
+    if (!data.tables || typeof data.tables !== 'object' || Array.isArray(data.tables)) {
+      throw fail('format', 'import has no "tables" object');
+    }
+
+    const incoming = Object.entries(data.tables).map(([theme, entries]) => {
+      if (!Array.isArray(entries)) throw fail('format', `table "${theme}" is not an array`);
+      return [theme, entries.map((entry, i) => {
+        try {
+          return HighScores.validate(entry);
+        } catch (err) {
+          throw fail(err.field, `entry ${i + 1} of "${theme}" — ${err.message}`, { entry: i + 1, table: theme });
+        }
+      })];
+    });
+
+    return this._serially(async () => {
+      let added = 0;
+      for (const [theme, entries] of incoming) {
+        const current = await this.table(theme);
+        const seen  = new Set(current.map(HighScores._key));
+        const fresh = entries.filter(entry => !seen.has(HighScores._key(entry)));
+        const table = HighScores.rank([...current, ...fresh]);
+        added += fresh.filter(entry => table.includes(entry)).length;
+        await this._use(store => store.put(theme, table));
+      }
+      this._notify({ theme: null });
+      return added;
+    });
+  }
+
+  /**
+   * Checks one entry and returns a clean copy
+   * @param {*} entry
+   * @returns {ScoreEntry}
+   * @throws {Error} naming the first bad field, also as its `field`
+   */
+  static validate(entry) {
+    const fail = (field, message) => Object.assign(new Error(message), { field });
+    if (!entry || typeof entry !== 'object') throw fail('format', 'entry must be an object');
+    const initials = typeof entry.initials === 'string' ? entry.initials.toUpperCase() : '';
+    if (initials.length !== 3 || [...initials].some(c => !INITIALS_ALPHABET.includes(c))) {
+      throw fail('initials', `initials must be 3 of "${INITIALS_ALPHABET}", got ${JSON.stringify(entry.initials)}`);
+    }
+    if (!Number.isSafeInteger(entry.score) || entry.score < 0) {
+      throw fail('score', `score must be a whole number ≥ 0, got ${JSON.stringify(entry.score)}`);
+    }
+    if (typeof entry.date !== 'string' || Number.isNaN(Date.parse(entry.date))) {
+      throw fail('date', `date must be an ISO timestamp, got ${JSON.stringify(entry.date)}`);
+    }
+    return { initials, score: entry.score, date: entry.date };
+  }
+
+  /**
+   * Best first, older first on a tie, trimmed to the table size
+   * @param {ScoreEntry[]} entries
+   */
+  static rank(entries) {
+    return entries
+      .sort((a, b) => b.score - a.score || Date.parse(a.date) - Date.parse(b.date))
+      .slice(0, HIGH_SCORE_TABLE_SIZE);
+  }
+
+  static _key(entry) {
+    return `${entry.initials}|${entry.score}|${entry.date}`;
+  }
+
+  /**
+   * Queues a read-modify-write behind the ones already running, so two
+   * quick submits can't both read the old table and drop an entry
+   * @param {() => Promise<*>} fn
+   */
+  _serially(fn) {
+    const run = this.writes.then(fn, fn);
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Runs a store call; if IndexedDB turns out to be unusable (private
+   * browsing, blocked storage), carries on in memory for this visit
+   * @param {(store: ScoreStore) => Promise<*>} fn
+   */
+  async _use(fn) {
+    try {
+      return await fn(this.store);
+    } catch (err) {
+      if (!(this.store instanceof IndexedDBScoreStore)) throw err;
+      console.warn('HighScores: IndexedDB unavailable, keeping scores in memory —', err);
+      this.store = new MemoryScoreStore();
+      return fn(this.store);
+    }
+  }
+
+  _notify(change) {
+    this.listeners.forEach(fn => fn(change));
+  }
+}
+
+/** The page's high-score tables */
+const highScores = new HighScores(
+  typeof indexedDB === 'undefined' ? new MemoryScoreStore() : new IndexedDBScoreStore()
+);
+
+/**
+ * The leaderboard in the gameplay section: one table per theme (the
+ * current theme's shown first), plus JSON export and import.
+ */
+class LeaderboardPanel {
+  constructor() {
+    this.el = document.getElementById('leaderboard');
+    if (!this.el) return;
+    this.tabsEl   = this.el.querySelector('.leaderboard-tabs');
+    this.listEl   = this.el.querySelector('.leaderboard-list');
+    this.statusEl = this.el.querySelector('.leaderboard-status');
+    this.fileEl   = this.el.querySelector('.leaderboard-file');
+
+    /** Theme whose table is shown */
+    this.theme = document.documentElement.dataset.theme;
+    /** Row to highlight — the entry just submitted, if it's on show */
+    this.fresh = null;
+    /** Bumped per render, so a slow store read can't overwrite a newer one */
+    this.renderSeq = 0;
+
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    const { signal } = this.events;
+
+    this.tabsEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-leaderboard-theme]');
+      if (btn) this.show(btn.dataset.leaderboardTheme);
+    }, { signal });
+    this.el.querySelector('.leaderboard-export').addEventListener('click', () => this._export(), { signal });
+    this.el.querySelector('.leaderboard-import').addEventListener('click', () => this.fileEl.click(), { signal });
+    this.fileEl.addEventListener('change', () => this._import(), { signal });
 
-  _makeParticle() {
-    const cfg = CANVAS_CONFIG.anime;
-    return {
-      x:      Math.random() * this.W,
-      y:      this.H + Math.random() * this.H,
-      vx:     (Math.random() - 0.5) * 0.8,
-      vy:     -(0.5 + Math.random() * cfg.particleSpeed * 2),
-      r:      2 + Math.random() * 5,
-      color:  cfg.colors[Math.floor(Math.random() * cfg.colors.length)],
-      opacity: 0.1 + Math.random() * 0.5,
-      wobble: Math.random() * Math.PI * 2,
-      wobbleSpeed: 0.01 + Math.random() * 0.02,
-    };
+    this.stopWatches = [
+      highScores.onChange(({ theme, rank }) => {
+        if (rank !== undefined) {
+          this.fresh = { theme, rank };
+          this.show(theme);
+        } else if (theme === null || theme === this.theme) {
+          this._renderTable();
+        }
+      }),
+      ThemeRegistry.onChange(() => this._renderTabs()),
+      appBus.on('theme:change', ({ theme }) => this.show(theme), { replay: true }),
+      appBus.on('locale:change', () => this._renderTabs()),
+    ];
   }
 
-  _updateParticles() {
-    this.particles.forEach((p, i) => {
-      p.y      += p.vy;
-      p.x      += p.vx + Math.sin(p.wobble) * 0.4;
-      p.wobble += p.wobbleSpeed;
-      if (p.y < -20) {
-        this.particles[i] = this._makeParticle();
-      }
-    });
+  /**
+   * Public: shows one theme's table
+   * @param {string} theme
+   */
+  show(theme) {
+    if (this.fresh && this.fresh.theme !== theme) this.fresh = null;
+    this.theme = theme;
+    this._renderTabs();
+    this._renderTable();
   }
 
-  _drawParticles() {
-    const ctx = this.ctx;
-    this.particles.forEach(p => {
-      ctx.beginPath();
-      ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
-      ctx.fillStyle = p.color;
-      ctx.globalAlpha = p.opacity;
-      ctx.shadowColor = p.color;
-      ctx.shadowBlur = p.r * 3;
-      ctx.fill();
-      ctx.globalAlpha = 1;
-      ctx.shadowBlur = 0;
-    });
+  _renderTabs() {
+    this.tabsEl.replaceChildren(...ThemeRegistry.list().map(theme => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'leaderboard-tab';
+      btn.dataset.leaderboardTheme = theme.id;
+      btn.setAttribute('aria-pressed', String(theme.id === this.theme));
+      btn.title = ThemeRegistry.text(theme, 'title');
+      btn.textContent = `${theme.icon} ${ThemeRegistry.text(theme, 'label')}`;
+      return btn;
+    }));
   }
 
-  /* ---- MAIN RENDER LOOP ---- */
+  async _renderTable() {
+    const seq = ++this.renderSeq;
+    let table;
+    try {
+      table = await highScores.table(this.theme);
+    } catch (err) {
+      console.warn('LeaderboardPanel: table not loaded —', err);
+      return;
+    }
+    if (seq !== this.renderSeq) return;
 
-  /**
-   * The core animation loop.
-   * Uses requestAnimationFrame for efficient 60fps rendering.
-   * Only draws what is needed for the current theme.
-   * @param {number} now — timestamp from rAF
-   */
-  _loop(now = 0) {
-    if (!this.running) return;
+    const rows = [];
+    for (let i = 0; i < HIGH_SCORE_TABLE_SIZE; i++) {
+      const entry = table[i];
+      const row = document.createElement('li');
+      row.className = 'leaderboard-row';
+      if (this.fresh && this.fresh.rank === i) row.classList.add('is-fresh');
 
-    const ctx = this.ctx;
+      const rank = document.createElement('span');
+      rank.className = 'leaderboard-rank';
+      rank.textContent = `${i + 1}`.padStart(2, '0');
 
-    // Clear with theme-appropriate background
-    ctx.clearRect(0, 0, this.W, this.H);
+      const initials = document.createElement('span');
+      initials.className = 'leaderboard-initials';
+      initials.textContent = entry ? entry.initials : '---';
 
-    if (this.theme === 'retro') {
-      ctx.fillStyle = 'rgba(0,0,0,0.25)';
-      ctx.fillRect(0, 0, this.W, this.H);
-      this._updateStars(now);
-      this._drawStars();
-    }
+      const score = document.createElement('span');
+      score.className = 'leaderboard-score';
+      score.textContent = entry ? entry.score.toString().padStart(4, '0') : '----';
 
-    else if (this.theme === 'futuristic') {
-      // Deep space radial clear
-      const grad = ctx.createRadialGradient(
-        this.W * 0.5, this.H * 0.3, 0,
-        this.W * 0.5, this.H * 0.3, this.W * 0.7
-      );
-      grad.addColorStop(0,   'rgba(8, 22, 48, 0.6)');
-      grad.addColorStop(1,   'rgba(3, 11, 24, 0.95)');
-      ctx.fillStyle = grad;
-      ctx.fillRect(0, 0, this.W, this.H);
-      this._updateOrbs();
-      this._drawOrbs();
+      row.append(rank, initials, score);
+      rows.push(row);
     }
+    this.listEl.replaceChildren(...rows);
+  }
 
-    else if (this.theme === 'anime') {
-      // Vibrant dark with purple tinge
-      ctx.fillStyle = 'rgba(13,0,26,0.3)';
-      ctx.fillRect(0, 0, this.W, this.H);
-      this._updateParticles();
-      this._drawParticles();
+  async _export() {
+    let json;
+    try {
+      json = await highScores.export();
+    } catch (err) {
+      console.warn('LeaderboardPanel: export failed —', err);
+      return;
     }
+    const blob = new Blob([json], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'space-invaders-scores.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    this._setStatus(i18n.t('leaderboard.exported'));
+  }
 
-    this.rafId = requestAnimationFrame(ts => this._loop(ts));
+  async _import() {
+    const file = this.fileEl.files[0];
+    this.fileEl.value = '';
+    if (!file) return;
+    try {
+      const added = await highScores.import(await file.text());
+      this._setStatus(i18n.t('leaderboard.imported', { count: added }));
+    } catch (err) {
+      console.warn('LeaderboardPanel: import failed —', err);
+      this._setStatus(this._importError(err), true);
+    }
   }
 
-  /** Start the animation loop */
-  _startLoop() {
-    if (this.rafId) cancelAnimationFrame(this.rafId);
-    this.rafId = requestAnimationFrame(ts => this._loop(ts));
+  /**
+   * An import failure in the visitor's language
+   * @param {Error} err — from HighScores.import()
+   */
+  _importError(err) {
+    const key = `leaderboard.importError.${err.code}`;
+    if (!err.code || !i18n.has(key)) return i18n.t('leaderboard.importFailed');
+    const params = { ...err.params };
+    const theme = params.table && ThemeRegistry.get(params.table);
+    if (theme) params.table = ThemeRegistry.text(theme, 'label');
+    return i18n.t(key, params);
   }
 
   /**
-   * Public API: switch theme
-   * Rebuilds pools if needed and continues loop — no restart required.
-   * @param {string} theme
+   * @param {string} text
+   * @param {boolean} [error]
    */
-  setTheme(theme) {
-    this.theme = theme;
-    // Rebuild pools on theme switch to ensure fresh state
-    this._buildPools();
+  _setStatus(text, error = false) {
+    this.statusEl.textContent = text;
+    this.statusEl.classList.toggle('is-error', error);
   }
 
-  /** Clean up — call if canvas needs to be destroyed */
   destroy() {
-    this.running = false;
-    if (this.rafId) cancelAnimationFrame(this.rafId);
+    if (!this.events) return;
+    this.events.abort();
+    this.stopWatches.forEach(stop => stop());
   }
 }
 
 /* ==========================================================================
-  UI BUILDER
-  Populates dynamic DOM elements that are driven by JavaScript data.
+  SCROLL REVEAL
+  Elements marked data-reveal="<preset>" animate in when they enter the
+  viewport: ScrollReveal adds .reveal (the hidden state — so without
+  script nothing stays hidden) and then .visible. Presets live in
+  style.css and each plays differently per theme; "theme" picks the
+  active theme's signature (pixelate, hologram or petal-burst). An empty
+  value is slide-up. Options, all optional:
+    data-reveal-delay     — ms before it starts
+    data-reveal-duration  — ms it takes
+    data-reveal-threshold — share of the element in view that triggers it
+    data-reveal-repeat    — hide again on scrolling out, replay on return
+  A container with data-reveal-group="<preset>" gives its children that
+  preset (unless they name their own) and staggers them by
+  data-reveal-stagger ms — content-manifest cards pick this up too.
    ========================================================================== */
 
-class UIBuilder {
-  constructor() {
-    this._buildMiniAlienGrid();
-  }
-
-  /**
-   * Builds the animated mini alien grid inside the gameplay screen mockup.
-   * Creates DOM elements programmatically to keep HTML lean.
-   */
-  _buildMiniAlienGrid() {
-    const grid = document.getElementById('mini-grid');
-    if (!grid) return;
+/** Values data-reveal understands — '' is slide-up */
+const REVEAL_PRESETS = ['', 'fade', 'slide-up', 'slide-left', 'pixelate', 'hologram', 'petal-burst', 'theme'];
 
-    const ROWS = 4, COLS = 7;
-    // Track which cells are "alive" to animate score
-    const cells = [];
+/** Share of an element in view that reveals it, unless data-reveal-threshold says otherwise */
+const REVEAL_THRESHOLD = 0.12;
 
-    for (let r = 0; r < ROWS; r++) {
-      const row = document.createElement('div');
-      row.classList.add('mini-alien-row');
-      row.style.animationDelay = `${r * 0.08}s`;
+/** Gap between a group's children, in ms, unless data-reveal-stagger says otherwise */
+const REVEAL_STAGGER = 100;
 
-      for (let c = 0; c < COLS; c++) {
-        const cell = document.createElement('div');
-        cell.classList.add('mini-alien-cell');
-        // Random alpha for visual variety
-        cell.style.opacity = 0.6 + Math.random() * 0.4;
-        row.appendChild(cell);
-        cells.push(cell);
-      }
-      grid.appendChild(row);
-    }
+class ScrollReveal {
+  constructor() {
+    /** One IntersectionObserver per threshold in use */
+    this.observers = new Map();
 
-    // Simulate score incrementing as random aliens disappear
-    this._simulateGameplay(cells);
+    this._observe();
+    // Cards rendered from the content manifest are new elements
+    this.stopContentWatch = appBus.on('content:change', () => this._observe());
   }
 
-  /**
-   * Simulates a simplified "game" by removing mini cells over time
-   * and incrementing the score display — purely cosmetic demo.
-   */
-  _simulateGameplay(cells) {
-    const scoreEl = document.getElementById('demo-score');
-    if (!scoreEl) return;
+  /** Sets up reveal targets that aren't set up yet */
+  _observe() {
+    document.querySelectorAll('[data-reveal-group]').forEach(group => this._spreadGroup(group));
 
-    let score = 360;
-    const pointValues = [10, 10, 20, 20, 30];
-    const shuffled = [...cells].sort(() => Math.random() - 0.5);
-    let idx = 0;
+    document.querySelectorAll('[data-reveal]').forEach(el => {
+      if (el.classList.contains('reveal')) return;
+      const { dataset } = el;
 
-    const kill = () => {
-      if (idx >= shuffled.length) {
-        // All killed — reset after delay
-        setTimeout(() => {
-          shuffled.forEach(c => {
-            c.style.opacity = 0.6 + Math.random() * 0.4;
-            c.style.visibility = 'visible';
-          });
-          score = 360;
-          if (scoreEl) scoreEl.textContent = score.toString().padStart(4, '0');
-          idx = 0;
-          setTimeout(kill, 1200);
-        }, 3000);
-        return;
+      if (!REVEAL_PRESETS.includes(dataset.reveal)) {
+        console.warn(`ScrollReveal: unknown preset "${dataset.reveal}" — using slide-up`);
+        dataset.reveal = '';
       }
-      const cell = shuffled[idx++];
-      // "Explode" animation
-      cell.style.transition = 'opacity 0.2s, transform 0.2s';
-      cell.style.opacity = '0';
-      cell.style.transform = 'scale(2)';
-      setTimeout(() => {
-        cell.style.visibility = 'hidden';
-        cell.style.transform = '';
-      }, 200);
+      const delay    = parseInt(dataset.revealDelay, 10);
+      const duration = parseInt(dataset.revealDuration, 10);
+      if (delay >= 0)    el.style.setProperty('--reveal-delay', `${delay}ms`);
+      if (duration >= 0) el.style.setProperty('--reveal-duration', `${duration}ms`);
 
-      // Update score
-      const pts = pointValues[Math.floor(Math.random() * pointValues.length)];
-      score += pts;
-      if (scoreEl) scoreEl.textContent = score.toString().padStart(4, '0');
+      el.classList.add('reveal');
+      this._observerFor(parseFloat(dataset.revealThreshold)).observe(el);
+    });
+  }
 
-      // Schedule next kill with variable timing (faster as fewer remain)
-      const delay = Math.max(200, 1200 - idx * 12);
-      setTimeout(kill, delay);
-    };
+  /**
+   * Hands a group's preset to children without their own, and delays
+   * each child by its place in the group
+   * @param {HTMLElement} group
+   */
+  _spreadGroup(group) {
+    const stagger = parseInt(group.dataset.revealStagger, 10);
+    const step = stagger >= 0 ? stagger : REVEAL_STAGGER;
 
-    setTimeout(kill, 2000);
+    [...group.children].forEach((child, i) => {
+      if (child.classList.contains('reveal')) return;
+      if (!('reveal' in child.dataset)) child.dataset.reveal = group.dataset.revealGroup;
+      if (!('revealDelay' in child.dataset)) child.dataset.revealDelay = i * step;
+    });
   }
-}
 
-/* ==========================================================================
-  SCROLL REVEAL
-  IntersectionObserver watches for elements with .reveal class and
-  adds .visible when they enter the viewport — triggering CSS transitions.
-   ========================================================================== */
+  /**
+   * @param {number} threshold — 0–1; anything else means REVEAL_THRESHOLD
+   * @returns {IntersectionObserver}
+   */
+  _observerFor(threshold) {
+    const key = threshold >= 0 && threshold <= 1 ? threshold : REVEAL_THRESHOLD;
+    if (!this.observers.has(key)) {
+      const observer = new IntersectionObserver(
+        (entries) => entries.forEach(entry => this._onIntersect(entry, observer)),
+        { threshold: key, rootMargin: '0px 0px -40px 0px' }
+      );
+      this.observers.set(key, observer);
+    }
+    return this.observers.get(key);
+  }
 
-class ScrollReveal {
-  constructor() {
-    this.observer = new IntersectionObserver(
-      (entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            entry.target.classList.add('visible');
-            // Unobserve after reveal — no need to watch anymore
-            this.observer.unobserve(entry.target);
-          }
-        });
-      },
-      { threshold: 0.12, rootMargin: '0px 0px -40px 0px' }
-    );
+  /**
+   * @param {IntersectionObserverEntry} entry
+   * @param {IntersectionObserver} observer — the one watching entry.target
+   */
+  _onIntersect({ target, isIntersecting }, observer) {
+    const repeat = 'revealRepeat' in target.dataset;
+    if (isIntersecting) {
+      target.classList.add('visible');
+      // Revealed for good — no need to watch anymore
+      if (!repeat) observer.unobserve(target);
+    } else if (repeat) {
+      target.classList.remove('visible');
+    }
+  }
 
-    // Observe all reveal targets
-    document.querySelectorAll(
-      '.story-card, .mechanic-item, .alien-card, .stat-card, .legacy-quote, .section-title, .section-label'
-    ).forEach(el => {
-      el.classList.add('reveal');
-      this.observer.observe(el);
-    });
+  destroy() {
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers.clear();
+    this.stopContentWatch();
   }
 }
 
 /* ==========================================================================
   STAT COUNTER
-  Animates numbers in .stat-number elements from 0 to their data-target
-  value when they enter the viewport — uses easeOutExpo for snappy feel.
+  Counts .stat-number elements up from 0 to their data-target when they
+  enter the viewport. Optional attributes shape each counter:
+    data-decimals  — fraction digits (default: as many as data-target has)
+    data-prefix    — text before the number, e.g. "$"
+    data-suffix    — text after it, e.g. "+"
+    data-notation  — "compact" for short forms such as 2.0B
+    data-grouping  — "false" to print 1978 rather than 1,978
+    data-duration  — ms (default STAT_COUNTER_DURATION)
+    data-easing    — a key of EASINGS (default STAT_COUNTER_EASING)
+    data-repeat    — count up again every time it comes back into view
+  The rolling digits are hidden from screen readers; a polite live region
+  beside each counter announces the final value instead.
    ========================================================================== */
 
+/** Counters without data-duration / data-easing take these */
+const STAT_COUNTER_DURATION = 1800;
+const STAT_COUNTER_EASING   = 'easeOutExpo';
+
 class StatCounter {
   constructor() {
     this.observer = new IntersectionObserver(
       (entries) => {
         entries.forEach(entry => {
+          const el = entry.target;
+          const repeat = 'repeat' in el.dataset;
           if (entry.isIntersecting) {
-            this._animateCounter(entry.target);
-            this.observer.unobserve(entry.target);
+            this._animateCounter(el);
+            if (!repeat) this.observer.unobserve(el);
+          } else if (repeat) {
+            // Back to zero out of sight, ready to count up on the way back
+            this._stop(el);
+            el.textContent = this._format(this._options(el), 0);
+            this.resting.set(el, 0);
           }
         });
       },
       { threshold: 0.5 }
     );
 
+    /** Pending animation frame per counter, so destroy() can cancel them */
+    this.frames = new Map();
+    /** Value each counter came to rest on, so a language change can rewrite it */
+    this.resting = new Map();
+    /** Every counter being watched, so replaced ones can be let go */
+    this.counters = new Set();
+
+    this._observe();
+    // The content manifest replaces the counters with fresh ones
+    this.stopContentWatch = appBus.on('content:change', () => this._observe());
+    // Running counters pick the language up on their next frame
+    this.stopLocaleWatch = appBus.on('locale:change', () => this._reformat());
+  }
+
+  _observe() {
+    // Counters the manifest replaced are gone from the page
+    this.counters.forEach(el => {
+      if (el.isConnected) return;
+      this.observer.unobserve(el);
+      this._stop(el);
+      this.resting.delete(el);
+      this.counters.delete(el);
+    });
+
     document.querySelectorAll('.stat-number[data-target]').forEach(el => {
+      if (!el.nextElementSibling || !el.nextElementSibling.classList.contains('stat-live')) {
+        const live = document.createElement('span');
+        live.className = 'stat-live visually-hidden';
+        live.setAttribute('aria-live', 'polite');
+        el.after(live);
+        el.setAttribute('aria-hidden', 'true');
+      }
       this.observer.observe(el);
+      this.counters.add(el);
+    });
+  }
+
+  /** Rewrites counters at rest in the current language's number format */
+  _reformat() {
+    this.resting.forEach((value, el) => {
+      if (!el.isConnected) {
+        this.resting.delete(el);
+        return;
+      }
+      const options = this._options(el);
+      if (value === options.target) this._finish(el, options);
+      else el.textContent = this._format(options, value);
+    });
+  }
+
+  /** Stops watching; counters mid-animation jump to their final value */
+  destroy() {
+    this.observer.disconnect();
+    this.stopContentWatch();
+    this.stopLocaleWatch();
+    this.frames.forEach((frame, el) => {
+      cancelAnimationFrame(frame);
+      this._finish(el, this._options(el));
     });
+    this.frames.clear();
+    this.resting.clear();
+    this.counters.clear();
+  }
+
+  /**
+   * A counter's data attributes, with the defaults filled in
+   * @param {HTMLElement} el
+   */
+  _options(el) {
+    const { dataset } = el;
+    const target = parseFloat(dataset.target) || 0;
+
+    let decimals = parseInt(dataset.decimals, 10);
+    if (!(decimals >= 0 && decimals <= 20)) decimals = (String(dataset.target).split('.')[1] || '').length;
+
+    let easing = dataset.easing || STAT_COUNTER_EASING;
+    if (!EASINGS[easing]) {
+      console.warn(`StatCounter: unknown easing "${easing}" — using ${STAT_COUNTER_EASING}`);
+      easing = STAT_COUNTER_EASING;
+    }
+    const duration = parseInt(dataset.duration, 10);
+
+    return {
+      target,
+      decimals,
+      duration: duration >= 0 ? duration : STAT_COUNTER_DURATION,
+      ease:     EASINGS[easing],
+      prefix:   dataset.prefix || '',
+      suffix:   dataset.suffix || '',
+      number: {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+        notation:    dataset.notation === 'compact' ? 'compact' : 'standard',
+        useGrouping: dataset.grouping !== 'false',
+      },
+    };
+  }
+
+  /** @returns {string} value as the counter shows it, in the current language */
+  _format(options, value) {
+    return `${options.prefix}${i18n.number(value, options.number)}${options.suffix}`;
+  }
+
+  _stop(el) {
+    cancelAnimationFrame(this.frames.get(el));
+    this.frames.delete(el);
+  }
+
+  /** Shows the final value and hands it to the live region */
+  _finish(el, options) {
+    const text = this._format(options, options.target);
+    el.textContent = text;
+    this.resting.set(el, options.target);
+    const live = el.nextElementSibling;
+    // Unchanged text isn't announced again — nor should a repeat be
+    if (live && live.classList.contains('stat-live') && live.textContent !== text) live.textContent = text;
   }
 
   /**
@@ -626,26 +4533,32 @@ class StatCounter {
    * @param {HTMLElement} el
    */
   _animateCounter(el) {
-    const target   = parseInt(el.dataset.target, 10);
-    const duration = 1800;
-    const start    = performance.now();
+    this._stop(el);
+    this.resting.delete(el);
+    const options = this._options(el);
+    if (motionPrefs.reduced || options.duration === 0) {
+      this._finish(el, options);
+      return;
+    }
+    const { target, decimals, duration, ease } = options;
+    const scale = Math.pow(10, decimals);
+    const start = performance.now();
 
     const step = (now) => {
-      const elapsed  = now - start;
-      const progress = Math.min(elapsed / duration, 1);
-      // Easing: easeOutExpo
-      const eased    = progress === 1 ? 1 : 1 - Math.pow(2, -10 * progress);
-      const current  = Math.floor(eased * target);
-      el.textContent = current.toLocaleString();
-
+      const progress = Math.min((now - start) / duration, 1);
       if (progress < 1) {
-        requestAnimationFrame(step);
+        // Rounded down to the digits shown, so the exact target only lands at
+        // the end — and held there, as overshooting curves would pass it
+        const current = Math.min(Math.floor(ease(progress) * target * scale) / scale, target);
+        el.textContent = this._format(options, current);
+        this.frames.set(el, requestAnimationFrame(step));
       } else {
-        el.textContent = target.toLocaleString();
+        this._finish(el, options);
+        this.frames.delete(el);
       }
     };
 
-    requestAnimationFrame(step);
+    this.frames.set(el, requestAnimationFrame(step));
   }
 }
 
@@ -661,11 +4574,15 @@ class MobileMenu {
     if (!this.toggle || !this.menu) return;
 
     this.isOpen = false;
-    this.toggle.addEventListener('click', () => this._toggleMenu());
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    const { signal } = this.events;
+
+    this.toggle.addEventListener('click', () => this._toggleMenu(), { signal });
 
     // Close on nav link click
     this.menu.querySelectorAll('a').forEach(link => {
-      link.addEventListener('click', () => this._closeMenu());
+      link.addEventListener('click', () => this._closeMenu(), { signal });
     });
 
     // Close on outside click
@@ -673,7 +4590,13 @@ class MobileMenu {
       if (this.isOpen && !e.target.closest('.site-nav')) {
         this._closeMenu();
       }
-    });
+    }, { signal });
+  }
+
+  destroy() {
+    if (!this.events) return;
+    this.events.abort();
+    this._closeMenu();
   }
 
   _toggleMenu() {
@@ -705,6 +4628,9 @@ class NavScroll {
     this.nav = document.querySelector('.site-nav');
     if (!this.nav) return;
 
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+
     let ticking = false;
     window.addEventListener('scroll', () => {
       if (!ticking) {
@@ -714,7 +4640,11 @@ class NavScroll {
         });
         ticking = true;
       }
-    });
+    }, { signal: this.events.signal, passive: true });
+  }
+
+  destroy() {
+    if (this.events) this.events.abort();
   }
 
   _onScroll() {
@@ -727,51 +4657,353 @@ class NavScroll {
 
 /* ==========================================================================
   PARALLAX HERO ELEMENTS
-  Subtle mouse-follow parallax on the hero aliens and ship.
-  Enhances the "3D" feel across all themes.
+  Subtle parallax on the hero aliens and ship.
+  Enhances the "3D" feel across all themes. Desktop follows the mouse;
+  phones and tablets follow the device tilt, or a finger dragged across
+  the hero where tilt isn't available (yet).
    ========================================================================== */
 
+/** The deepest hero layer's full travel either way, in px — the others move less */
+const PARALLAX_MAX_SHIFT = 18;
+
+/**
+ * How far each hero layer moves, as [x, y] shares of the max shift
+ * (sign is direction) — the aliens sit deepest, the title nearest.
+ * At the default cap that's 18/10, 12/6 and 6/3 px.
+ */
+const PARALLAX_LAYERS = {
+  heroAliens: [-1,     -10 / 18],
+  heroShip:   [12 / 18,  6 / 18],
+  heroTitle:  [6 / 18,   3 / 18],
+};
+
+/** Tilt away from the resting angle that counts as full deflection, in degrees */
+const PARALLAX_TILT_RANGE = 20;
+
+/** How far the resting angle drifts toward the current grip per reading */
+const PARALLAX_TILT_RECENTER = 0.002;
+
+/** setDrift() glides take this long by default, in ms, on this curve */
+const PARALLAX_DRIFT_DURATION = 6000;
+const PARALLAX_DRIFT_EASING   = 'easeInOutSine';
+
 class HeroParallax {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxShift] — px cap on the parallax (the drift
+   *                                   comes on top), PARALLAX_MAX_SHIFT by default;
+   *                                   a smaller one scales every layer down
+   */
+  constructor({ maxShift = PARALLAX_MAX_SHIFT } = {}) {
+    this.maxShift = maxShift;
     this.heroAliens = document.querySelector('.hero-aliens');
     this.heroShip   = document.querySelector('.hero-ship-wrap');
     this.heroTitle  = document.querySelector('.hero-title');
 
     if (!this.heroAliens) return;
+    this.hero = this.heroAliens.closest('.hero') || this.heroAliens;
 
-    // Store last mouse position for smooth lerp
-    this.mouseX = 0;
-    this.mouseY = 0;
-    this.currX  = 0;
-    this.currY  = 0;
+    // Target offsets (-1 to 1) and the lerped values actually shown
+    this.targetX = 0;
+    this.targetY = 0;
+    this.currX   = 0;
+    this.currY   = 0;
+    // Extra offset in px on top of the parallax (see setDrift): where the
+    // glide started, where it ends, and what is shown
+    this.driftFromX = 0;
+    this.driftFromY = 0;
+    this.driftX     = 0;
+    this.driftY     = 0;
+    this.currDriftX = 0;
+    this.currDriftY = 0;
+    /** Progress of the current glide, in ms, and its curve */
+    this.driftElapsed  = 0;
+    this.driftDuration = 0;
+    this.driftEase     = EASINGS[PARALLAX_DRIFT_EASING];
 
+    /** Where the target comes from: 'mouse', 'drag' or 'tilt' */
+    this.input = 'mouse';
+    /** Screen-space tilt that counts as centred — null until the first reading */
+    this.restX = null;
+    this.restY = null;
+    /** Touch position a drag started from, or null */
+    this.dragStart = null;
+    /** iOS permission button, when one is shown */
+    this.tiltBtn = null;
+
+    /** Unsubscribe handle from the FrameClock — null while parallax is idle or off */
+    this.stopLoop = null;
+    /** False while the hero is off-screen or the tab is hidden */
+    this.onScreen = true;
+    /** True under the theme veil — the art swaps variants, so hold still */
+    this.holding = false;
+    this.viewW = window.innerWidth;
+    this.viewH = window.innerHeight;
+
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
     document.addEventListener('mousemove', (e) => {
-      this.mouseX = (e.clientX / window.innerWidth  - 0.5) * 2; // -1 to 1
-      this.mouseY = (e.clientY / window.innerHeight - 0.5) * 2;
+      // Touch devices synthesise mousemove after taps — ignore it there
+      if (this.holding || this.input !== 'mouse') return;
+      this._aim((e.clientX / this.viewW - 0.5) * 2, (e.clientY / this.viewH - 0.5) * 2);
+    }, { signal: this.events.signal });
+
+    if (window.matchMedia('(pointer: coarse)').matches) this._setupTouch();
+
+    this.stopBusWatch = [
+      appBus.on('viewport:resize', ({ width, height }) => {
+        this.viewW = width;
+        this.viewH = height;
+      }),
+      appBus.on('theme:transition-start', () => {
+        this.holding = true;
+        this.targetX = this.currX;
+        this.targetY = this.currY;
+      }),
+      appBus.on('theme:transition-end', () => { this.holding = false; }),
+    ];
+
+    this.stopMotionWatch = motionPrefs.onChange(() => this._applyMotion());
+    this.releaseLifecycle = lifecycle.watch({
+      element: this.hero,
+      resume:  () => { this.onScreen = true;  this._applyMotion(); },
+      suspend: () => { this.onScreen = false; this._applyMotion(); },
     });
+  }
+
+  /* ---- TOUCH & TILT ---- */
+
+  /**
+   * Dragging works straight away; tilt takes over once the device reports
+   * an orientation. iOS only reports it after the visitor grants access
+   * from a tap, so there it waits behind a button.
+   */
+  _setupTouch() {
+    const { signal } = this.events;
+    this.input = 'drag';
+
+    // Touch events rather than Pointer Events: the browser cancels a pointer
+    // as soon as it starts scrolling, which is exactly when a drag matters
+    this.hero.addEventListener('touchstart', (e) => {
+      const touch = e.touches[0];
+      this.dragStart = { x: touch.clientX, y: touch.clientY };
+    }, { passive: true, signal });
+    this.hero.addEventListener('touchmove', (e) => {
+      if (!this.dragStart || this.input !== 'drag' || this.holding) return;
+      const touch = e.touches[0];
+      this._aim(
+        (touch.clientX - this.dragStart.x) / (this.viewW / 2),
+        (touch.clientY - this.dragStart.y) / (this.viewH / 2)
+      );
+    }, { passive: true, signal });
+    // Let go and the hero settles back to centre
+    const release = () => {
+      this.dragStart = null;
+      if (this.input === 'drag') this._aim(0, 0);
+    };
+    this.hero.addEventListener('touchend', release, { passive: true, signal });
+    this.hero.addEventListener('touchcancel', release, { passive: true, signal });
+
+    if (typeof DeviceOrientationEvent === 'undefined') return;
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+      this._offerTilt();
+    } else {
+      this._listenTilt();
+    }
+  }
+
+  /** A tap on this button is the user gesture iOS requires before asking */
+  _offerTilt() {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'hero-tilt-btn';
+    btn.dataset.i18n = 'hero.tilt';
+    btn.textContent = i18n.t('hero.tilt');
+    btn.hidden = !motionPrefs.allows('parallax');
+
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      let state = 'denied';
+      try {
+        state = await DeviceOrientationEvent.requestPermission();
+      } catch (err) {
+        // Thrown when not called from a gesture — treat as a refusal
+      }
+      btn.remove();
+      this.tiltBtn = null;
+      if (state === 'granted') this._listenTilt();
+    }, { signal: this.events.signal });
+
+    this.hero.appendChild(btn);
+    this.tiltBtn = btn;
+  }
+
+  _listenTilt() {
+    const { signal } = this.events;
+    window.addEventListener('deviceorientation', (e) => this._onTilt(e), { signal });
+    // A rotated screen means a new grip — find its resting angle afresh
+    window.addEventListener('orientationchange', () => this.calibrate(), { signal });
+  }
+
+  /** @param {DeviceOrientationEvent} e */
+  _onTilt(e) {
+    // Desktop browsers fire a single empty event — no sensor, keep the fallback
+    if (e.beta === null || e.gamma === null) return;
+    const [x, y] = this._screenTilt(e.beta, e.gamma);
+
+    if (this.restX === null) {
+      this.restX = x;
+      this.restY = y;
+    }
+    this.input = 'tilt';
+    if (this.holding) return;
+
+    // The resting angle slowly follows the grip, so holding the phone
+    // differently for a while re-centres the hero
+    this.restX += (x - this.restX) * PARALLAX_TILT_RECENTER;
+    this.restY += (y - this.restY) * PARALLAX_TILT_RECENTER;
+    this._aim((x - this.restX) / PARALLAX_TILT_RANGE, (y - this.restY) / PARALLAX_TILT_RANGE);
+  }
+
+  /**
+   * Device tilt in screen terms: x leans right, y leans toward the
+   * visitor, whichever way the screen is rotated
+   * @returns {[number, number]} degrees
+   */
+  _screenTilt(beta, gamma) {
+    const angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+    switch ((angle + 360) % 360) {
+      case 90:  return [beta, -gamma];
+      case 180: return [-gamma, -beta];
+      case 270: return [-beta, gamma];
+      default:  return [gamma, beta];
+    }
+  }
+
+  /**
+   * Public: treat the way the device is held right now as centred
+   */
+  calibrate() {
+    this.restX = null;
+    this.restY = null;
+  }
+
+  /* ---- LOOP ---- */
 
-    this._loop();
+  /**
+   * Sets the target offsets, clamped to -1…1, and wakes the loop
+   * @param {number} x
+   * @param {number} y
+   */
+  _aim(x, y) {
+    this.targetX = Math.max(-1, Math.min(1, x));
+    this.targetY = Math.max(-1, Math.min(1, y));
+    this._wake();
   }
 
-  _loop() {
-    // Lerp towards mouse target — smooth & laggy for organic feel
-    this.currX += (this.mouseX - this.currX) * 0.04;
-    this.currY += (this.mouseY - this.currY) * 0.04;
+  /**
+   * Public: glides every hero layer to an extra offset, on top of the
+   * parallax — KioskMode walks it around so static art doesn't burn in.
+   * setDrift(0, 0) glides back. A new call starts from wherever the
+   * current glide has got to.
+   * @param {number} x — px
+   * @param {number} y — px
+   * @param {object} [opts]
+   * @param {number} [opts.duration] — ms, PARALLAX_DRIFT_DURATION by default
+   * @param {string} [opts.easing]   — a key of EASINGS, PARALLAX_DRIFT_EASING by default
+   */
+  setDrift(x, y, { duration = PARALLAX_DRIFT_DURATION, easing = PARALLAX_DRIFT_EASING } = {}) {
+    if (!this.heroAliens) return;
+    if (!EASINGS[easing]) throw new Error(`HeroParallax: unknown easing "${easing}"`);
+    this.driftFromX    = this.currDriftX;
+    this.driftFromY    = this.currDriftY;
+    this.driftX        = x;
+    this.driftY        = y;
+    this.driftElapsed  = 0;
+    this.driftDuration = duration;
+    this.driftEase     = EASINGS[easing];
+    this._wake();
+  }
 
-    if (this.heroAliens) {
-      this.heroAliens.style.transform =
-        `translate(${this.currX * -18}px, ${this.currY * -10}px)`;
+  _wake() {
+    if (!this.stopLoop && this.onScreen && motionPrefs.allows('parallax')) {
+      this.stopLoop = frameClock.subscribe(dt => this._loop(dt));
     }
-    if (this.heroShip) {
-      this.heroShip.style.transform =
-        `translate(${this.currX * 12}px, ${this.currY * 6}px)`;
+  }
+
+  /**
+   * Runs the loop only while the hero is visible and the visitor allows
+   * parallax; it also stops by itself once the hero has caught up with
+   * its target. Off-screen the offsets are kept; switched off they reset.
+   */
+  _applyMotion() {
+    const allowed = motionPrefs.allows('parallax');
+    if (this.tiltBtn) this.tiltBtn.hidden = !allowed;
+    if (allowed && this.onScreen) {
+      if (!this.stopLoop) this.stopLoop = frameClock.subscribe(dt => this._loop(dt));
+      return;
     }
-    if (this.heroTitle) {
-      this.heroTitle.style.transform =
-        `translate(${this.currX * 6}px, ${this.currY * 3}px)`;
+    this._stopLoop();
+    if (!allowed) this._reset();
+  }
+
+  _stopLoop() {
+    if (this.stopLoop) this.stopLoop();
+    this.stopLoop = null;
+  }
+
+  _reset() {
+    this.currX = this.currY = 0;
+    // A pending drift glides in afresh once motion is back
+    this.currDriftX = this.currDriftY = 0;
+    this.driftFromX = this.driftFromY = 0;
+    this.driftElapsed = 0;
+    [this.heroAliens, this.heroShip, this.heroTitle].forEach(el => {
+      if (el) el.style.transform = '';
+    });
+  }
+
+  destroy() {
+    if (!this.events) return;
+    this.events.abort();
+    this.stopBusWatch.forEach(stop => stop());
+    this.stopMotionWatch();
+    this.releaseLifecycle();
+    this._stopLoop();
+    if (this.tiltBtn) this.tiltBtn.remove();
+    this._reset();
+  }
+
+  /** @param {number} dt — ms since the previous frame */
+  _loop(dt) {
+    // Lerp towards the target — smooth & laggy for organic feel
+    const t = frameLerp(0.04, dt);
+    this.currX += (this.targetX - this.currX) * t;
+    this.currY += (this.targetY - this.currY) * t;
+    // The drift is a slow timed glide — it should never be noticed moving
+    const drifting = this.driftElapsed < this.driftDuration;
+    if (drifting) {
+      this.driftElapsed = Math.min(this.driftElapsed + dt, this.driftDuration);
+      const e = this.driftEase(this.driftElapsed / this.driftDuration);
+      this.currDriftX = this.driftFromX + (this.driftX - this.driftFromX) * e;
+      this.currDriftY = this.driftFromY + (this.driftY - this.driftFromY) * e;
+    } else {
+      this.currDriftX = this.driftX;
+      this.currDriftY = this.driftY;
     }
 
-    requestAnimationFrame(() => this._loop());
+    // Targets stay within ±1 (see _aim), so no layer passes maxShift
+    Object.entries(PARALLAX_LAYERS).forEach(([layer, [x, y]]) => {
+      const el = this[layer];
+      if (!el) return;
+      el.style.transform =
+        `translate(${this.currX * x * this.maxShift + this.currDriftX}px, ${this.currY * y * this.maxShift + this.currDriftY}px)`;
+    });
+
+    // Caught up — sleep until the next input
+    if (Math.abs(this.targetX - this.currX) < 0.001 && Math.abs(this.targetY - this.currY) < 0.001 && !drifting) {
+      this._stopLoop();
+    }
   }
 }
 
@@ -782,12 +5014,23 @@ class HeroParallax {
 
 class ButtonRipple {
   constructor() {
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+
     document.querySelectorAll('.btn-primary').forEach(btn => {
-      btn.addEventListener('click', (e) => this._createRipple(e, btn));
+      btn.addEventListener('click', (e) => {
+        sound.play('shot');
+        this._createRipple(e, btn);
+      }, { signal: this.events.signal });
     });
   }
 
+  destroy() {
+    this.events.abort();
+  }
+
   _createRipple(e, btn) {
+    if (motionPrefs.reduced) return;
     const ripple  = document.createElement('span');
     const rect    = btn.getBoundingClientRect();
     const size    = Math.max(rect.width, rect.height) * 2;
@@ -826,81 +5069,707 @@ class ButtonRipple {
 }
 
 /* ==========================================================================
-  KEYBOARD EASTER EGG — KONAMI CODE
-  Press ↑↑↓↓←→←→BA then Enter to trigger a hidden animation.
-  Because every Space Invaders tribute needs a easter egg.
+  GAMEPAD
+  The Gamepad API has no button events — pads have to be polled. One poller
+  reads every standard-mapping pad each frame while at least one is
+  connected and turns the changes into 'gamepad:*' events on the bus, so
+  cheat entry, page navigation and the mini game each just subscribe.
    ========================================================================== */
 
-class KonamiCode {
+/** Standard-mapping button indices → the names used across the page */
+const GAMEPAD_BUTTONS = {
+  0: 'a', 1: 'b', 2: 'x', 3: 'y', 4: 'lb', 5: 'rb', 8: 'select', 9: 'start',
+  12: 'up', 13: 'down', 14: 'left', 15: 'right',
+};
+
+/** How far the left stick must lean to count as a d-pad press (0–1) */
+const GAMEPAD_STICK_THRESHOLD = 0.5;
+
+class GamepadInput {
   constructor() {
-    this.sequence  = ['ArrowUp','ArrowUp','ArrowDown','ArrowDown','ArrowLeft','ArrowRight','ArrowLeft','ArrowRight','b','a'];
-    this.progress  = 0;
+    /** Button names held in the previous poll, per pad index */
+    this.held = new Map();
+    /** Unsubscribe handle from the FrameClock — null while no pad is connected */
+    this.stopPoll = null;
 
-    document.addEventListener('keydown', (e) => {
-      if (e.key === this.sequence[this.progress]) {
-        this.progress++;
-        if (this.progress === this.sequence.length) {
-          this.progress = 0;
-          this._activate();
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    window.addEventListener('gamepadconnected', (e) => this._onConnection('gamepad:connect', e.gamepad), { signal: this.events.signal });
+    window.addEventListener('gamepaddisconnected', (e) => this._onConnection('gamepad:disconnect', e.gamepad), { signal: this.events.signal });
+  }
+
+  /** Standard-mapping pads currently connected */
+  pads() {
+    const pads = navigator.getGamepads ? [...navigator.getGamepads()] : [];
+    return pads.filter(pad => pad && pad.connected !== false && pad.mapping === 'standard');
+  }
+
+  /**
+   * @param {'gamepad:connect'|'gamepad:disconnect'} type
+   * @param {Gamepad} pad
+   */
+  _onConnection(type, pad) {
+    if (pad.mapping !== 'standard') return;
+    const count = this.pads().length;
+
+    if (type === 'gamepad:disconnect') {
+      // Let go of whatever that pad was holding
+      (this.held.get(pad.index) || new Set()).forEach(button => {
+        appBus.emit('gamepad:button', { index: pad.index, button, pressed: false });
+      });
+      this.held.delete(pad.index);
+    }
+
+    if (count && !this.stopPoll) {
+      this.stopPoll = frameClock.subscribe(() => this._poll());
+    } else if (!count && this.stopPoll) {
+      this.stopPoll();
+      this.stopPoll = null;
+    }
+    appBus.emit(type, { index: pad.index, id: pad.id, pads: count });
+  }
+
+  /** Emits every button that went down or up since the last frame */
+  _poll() {
+    this.pads().forEach(pad => {
+      const before = this.held.get(pad.index) || new Set();
+      const now = this._pressed(pad);
+      now.forEach(button => {
+        if (!before.has(button)) appBus.emit('gamepad:button', { index: pad.index, button, pressed: true });
+      });
+      before.forEach(button => {
+        if (!now.has(button)) appBus.emit('gamepad:button', { index: pad.index, button, pressed: false });
+      });
+      this.held.set(pad.index, now);
+    });
+  }
+
+  /** Pressed button names, with the left stick folded into the d-pad */
+  _pressed(pad) {
+    const pressed = new Set();
+    pad.buttons.forEach((button, index) => {
+      if (button.pressed && GAMEPAD_BUTTONS[index]) pressed.add(GAMEPAD_BUTTONS[index]);
+    });
+    const [x = 0, y = 0] = pad.axes;
+    if (x < -GAMEPAD_STICK_THRESHOLD) pressed.add('left');
+    if (x >  GAMEPAD_STICK_THRESHOLD) pressed.add('right');
+    if (y < -GAMEPAD_STICK_THRESHOLD) pressed.add('up');
+    if (y >  GAMEPAD_STICK_THRESHOLD) pressed.add('down');
+    return pressed;
+  }
+
+  destroy() {
+    this.events.abort();
+    if (this.stopPoll) this.stopPoll();
+    this.stopPoll = null;
+  }
+}
+
+/** The page's gamepad poller */
+const gamepads = new GamepadInput();
+
+/** Sections the d-pad steps through, top to bottom */
+const GAMEPAD_SECTIONS = ['#story', '#gameplay', '#aliens'];
+
+/**
+ * How long navigation holds a press that could be the start of a pad
+ * cheat (ms) — each further press of the sequence restarts the wait
+ */
+const GAMEPAD_CHEAT_HOLD = 700;
+
+/**
+ * Browsing the page from a controller: up/down step through
+ * GAMEPAD_SECTIONS, LB/RB cycle the themes, A on the gameplay section
+ * hands the pad to the mini game and B takes it back. Shows a hint when
+ * a pad connects. Presses that might be spelling a pad cheat wait until
+ * the sequence either completes (they're dropped) or breaks off.
+ */
+class GamepadNavigation {
+  /**
+   * @param {ThemeManager} themes
+   * @param {CheatCodes}   cheats — must be created first, so it has seen
+   *                                each press by the time we do
+   */
+  constructor(themes, cheats) {
+    this.themes = themes;
+    this.cheats = cheats;
+    this.gameScreen = document.querySelector('.gameplay-screen');
+    this.hintTimer = null;
+    /** Presses held back while a pad cheat may be in progress */
+    this.held = [];
+    this.holdTimer = null;
+
+    this.hintEl = document.createElement('div');
+    this.hintEl.className = 'gamepad-hint';
+    this.hintEl.setAttribute('role', 'status');
+    this.hintEl.hidden = true;
+    document.body.appendChild(this.hintEl);
+
+    this.stopBusWatch = [
+      appBus.on('gamepad:connect', () => {
+        this._showHint(i18n.t('gamepad.ready'));
+      }),
+      appBus.on('gamepad:disconnect', ({ pads }) => {
+        if (!pads) this._showHint(i18n.t('gamepad.gone'));
+      }),
+      appBus.on('gamepad:button', ({ button, pressed }) => {
+        if (pressed) this._onButton(button);
+      }),
+    ];
+  }
+
+  /** True while the mini game has the pad */
+  get playing() {
+    return !!this.gameScreen && this.gameScreen.contains(document.activeElement);
+  }
+
+  _onButton(button) {
+    if (this.playing) {
+      if (button === 'b') this.gameScreen.blur();
+      return;
+    }
+
+    clearTimeout(this.holdTimer);
+    const progress = this.cheats.progress.buttons;
+    if (progress === 'match') {
+      this.held.length = 0;
+      return;
+    }
+    if (progress === 'partial') {
+      this.held.push(button);
+      this.holdTimer = setTimeout(() => this._release(), GAMEPAD_CHEAT_HOLD);
+      return;
+    }
+    this._release();
+    this._act(button);
+  }
+
+  /** Carries out the presses held back for a cheat that never came */
+  _release() {
+    this.held.splice(0).forEach(button => this._act(button));
+  }
+
+  /** @param {string} button — a GAMEPAD_BUTTONS name */
+  _act(button) {
+    switch (button) {
+      case 'up':   this._step(-1); break;
+      case 'down': this._step(1); break;
+      case 'lb':   this._cycleTheme(-1); break;
+      case 'rb':   this._cycleTheme(1); break;
+      case 'a':
+        if (this.gameScreen && this._current() === '#gameplay') {
+          this.gameScreen.focus({ preventScroll: true });
         }
-      } else {
-        this.progress = e.key === this.sequence[0] ? 1 : 0;
-      }
+        break;
+    }
+  }
+
+  /** The section whose top is closest to just under the nav */
+  _current() {
+    const distances = GAMEPAD_SECTIONS.map(selector => {
+      const el = document.querySelector(selector);
+      return el ? Math.abs(el.getBoundingClientRect().top - 80) : Infinity;
     });
+    return GAMEPAD_SECTIONS[distances.indexOf(Math.min(...distances))];
   }
 
-  _activate() {
-    // Flash all aliens briefly with rainbow colors
-    const aliens = document.querySelectorAll('.alien, .alien-big');
-    const colors = ['#ff0000','#ff8800','#ffff00','#00ff00','#00ffff','#0088ff','#ff00ff'];
-    let i = 0;
-    const flash = setInterval(() => {
-      aliens.forEach(a => {
-        a.style.color = colors[i % colors.length];
-        a.style.filter = `drop-shadow(0 0 20px ${colors[i % colors.length]})`;
-      });
-      i++;
-      if (i > colors.length * 3) {
-        clearInterval(flash);
-        // Reset to theme color
+  /**
+   * Scrolls to the next section in a direction, from wherever the
+   * visitor currently is
+   * @param {number} direction — -1 up, 1 down
+   */
+  _step(direction) {
+    const offset = 80; // nav height
+    const tops = GAMEPAD_SECTIONS
+      .map(selector => document.querySelector(selector))
+      .filter(Boolean)
+      .map(el => el.getBoundingClientRect().top - offset);
+    const target = direction > 0
+      ? tops.find(top => top > 1)
+      : tops.filter(top => top < -1).pop();
+    if (target === undefined) return;
+    window.scrollTo({ top: window.scrollY + target, behavior: motionPrefs.reduced ? 'auto' : 'smooth' });
+  }
+
+  /** @param {number} direction — -1 previous, 1 next */
+  _cycleTheme(direction) {
+    const ids = ThemeRegistry.list().map(theme => theme.id);
+    const index = ids.indexOf(this.themes.currentTheme);
+    this.themes.switchTo(ids[(index + direction + ids.length) % ids.length]);
+  }
+
+  /** @param {string} text */
+  _showHint(text) {
+    clearTimeout(this.hintTimer);
+    this.hintEl.textContent = text;
+    this.hintEl.hidden = false;
+    this.hintTimer = setTimeout(() => { this.hintEl.hidden = true; }, 5000);
+  }
+
+  destroy() {
+    this.stopBusWatch.forEach(stop => stop());
+    clearTimeout(this.hintTimer);
+    clearTimeout(this.holdTimer);
+    this.hintEl.remove();
+  }
+}
+
+/* ==========================================================================
+  CHEAT CODES
+  Secret inputs bound to effects. A cheat has one or more sequences — keys
+  pressed in order, a word typed anywhere on the page, or gamepad buttons —
+  and names one of CHEAT_EFFECTS. Unlocked cheats are remembered in
+  localStorage and listed in the footer's achievements panel. More can be
+  registered from any script:
+
+    CheatRegistry.register({
+      id: 'warp', label: 'Warp Drive', hint: 'Type the magic word',
+      sequences: [{ word: 'warp' }],
+      effect: 'mothership',
+    });
+   ========================================================================== */
+
+/** A secret theme, unlocked by a cheat */
+const SECRET_THEME = {
+  id: 'amber',
+  label: 'AMBER',
+  title: 'Amber Cabinet',
+  icon: '🟠',
+  variant: 'retro',
+  vars: {
+    '--clr-bg':           '#0a0600',
+    '--clr-surface':      '#140c00',
+    '--clr-surface-alt':  '#1c1200',
+    '--clr-border':       '#cc8800',
+    '--clr-primary':      '#ffb000',
+    '--clr-accent':       '#ffe0a0',
+    '--clr-text':         '#ffb000',
+    '--clr-text-muted':   '#6b4a00',
+    '--clr-text-inverse': '#000000',
+    '--glass-bg':         'rgba(20, 12, 0, 0.8)',
+    '--shadow-card':      '0 4px 30px rgba(255, 176, 0, 0.2)',
+  },
+  canvas: {
+    renderer: 'starfield',
+    starCount: 150,
+    starSpeed: 0.3,
+    starSizeMin: 0.5,
+    starSizeMax: 2,
+    color: '#ffb000',
+    glowColor: 'rgba(255,176,0,',
+    trailColor: 'rgba(0,0,0,0.25)',
+    shootingStarInterval: 4000,
+    warpRadius: 220,
+    warpSpeed: 14,
+  },
+};
+ThemeRegistry.setTransition('*', SECRET_THEME.id, 'crt');
+
+/**
+ * Effect modules cheats bind to by name. activate() gets the page's
+ * { canvas, themes } (CanvasEngine, ThemeManager); restore(), if present,
+ * runs at start-up for cheats unlocked on an earlier visit.
+ */
+const CHEAT_EFFECTS = {
+  /** Flash all aliens with rainbow colors and show a message */
+  rainbow: {
+    activate() {
+      sound.play('explosion');
+
+      // The colour strobe is skipped for visitors who turned flashes off
+      if (motionPrefs.allows('flashes')) this._strobe();
+
+      const msg = document.createElement('div');
+      msg.className = 'cheat-message';
+      msg.textContent = i18n.t('cheat.konami.message');
+      document.body.appendChild(msg);
+      setTimeout(() => msg.remove(), 3000);
+    },
+
+    /** Cycles every alien through the rainbow at 10 Hz, then restores them */
+    _strobe() {
+      const aliens = document.querySelectorAll('.alien, .alien-big');
+      const colors = ['#ff0000','#ff8800','#ffff00','#00ff00','#00ffff','#0088ff','#ff00ff'];
+      let i = 0;
+      const flash = setInterval(() => {
         aliens.forEach(a => {
-          a.style.color = '';
-          a.style.filter = '';
+          a.style.color = colors[i % colors.length];
+          a.style.filter = `drop-shadow(0 0 20px ${colors[i % colors.length]})`;
         });
+        i++;
+        if (i > colors.length * 3) {
+          clearInterval(flash);
+          // Reset to theme color
+          aliens.forEach(a => {
+            a.style.color = '';
+            a.style.filter = '';
+          });
+        }
+      }, 100);
+    },
+  },
+
+  /** A mothership crosses the background in the theme's colour */
+  mothership: {
+    activate({ canvas }) {
+      const change = appBus.last('theme:change');
+      const theme  = change && ThemeRegistry.get(change.theme);
+      sound.play('shot');
+      canvas.spawn('mothership', theme ? { color: theme.canvas.color } : {});
+    },
+  },
+
+  /** Photographic negative of the page — the same cheat turns it back */
+  invert: {
+    activate() {
+      document.documentElement.classList.toggle('cheat-invert');
+    },
+  },
+
+  /** Registers the secret theme and switches to it */
+  secretTheme: {
+    restore() {
+      if (!ThemeRegistry.has(SECRET_THEME.id)) ThemeRegistry.register(SECRET_THEME);
+    },
+    activate({ themes }) {
+      this.restore();
+      themes.switchTo(SECRET_THEME.id);
+    },
+  },
+};
+
+class CheatRegistry {
+  /** @type {Map<string, object>} */
+  static cheats = new Map();
+  static listeners = [];
+
+  /**
+   * Registers (or replaces) a cheat.
+   * @param {object}   def
+   * @param {string}   def.id        — storage key for the unlock
+   * @param {string}   def.label     — shown once unlocked
+   * @param {string}   def.hint      — shown while still locked
+   * @param {object[]} def.sequences — each exactly one of
+   *   `keys: [KeyboardEvent.key, ...]`, `word: 'ufo'` (typed, any case) or
+   *   `buttons: ['up', 'a', ...]` (names from GAMEPAD_BUTTONS)
+   * @param {string}   def.effect    — a key of CHEAT_EFFECTS
+   */
+  static register(def) {
+    if (!def || !def.id || !def.label) {
+      throw new Error(`CheatRegistry: cheat "${def && def.id}" needs an id and a label`);
+    }
+    if (!CHEAT_EFFECTS[def.effect]) {
+      throw new Error(`CheatRegistry: cheat "${def.id}" has unknown effect "${def.effect}"`);
+    }
+    const sequences = (def.sequences || []).map(seq => this._normalise(def.id, seq));
+    if (!sequences.length) {
+      throw new Error(`CheatRegistry: cheat "${def.id}" needs at least one sequence`);
+    }
+
+    const cheat = { hint: '', ...def, sequences };
+    this.cheats.set(cheat.id, cheat);
+    this.listeners.forEach(fn => fn());
+    return cheat;
+  }
+
+  /** Every sequence becomes { source: 'keys'|'buttons', tokens } */
+  static _normalise(id, seq) {
+    const kinds = ['keys', 'word', 'buttons'].filter(kind => seq[kind]);
+    if (kinds.length !== 1) {
+      throw new Error(`CheatRegistry: cheat "${id}" sequences need exactly one of keys, word or buttons`);
+    }
+    if (seq.word) return { source: 'keys', tokens: [...seq.word.toLowerCase()] };
+    if (seq.buttons) {
+      const names = Object.values(GAMEPAD_BUTTONS);
+      const unknown = seq.buttons.find(button => !names.includes(button));
+      if (unknown) throw new Error(`CheatRegistry: cheat "${id}" uses unknown button "${unknown}"`);
+      return { source: 'buttons', tokens: seq.buttons };
+    }
+    return { source: 'keys', tokens: seq.keys.map(CheatRegistry.keyToken) };
+  }
+
+  /** Letters match in any case; named keys (ArrowUp, Enter) as they are */
+  static keyToken(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  /** Registered cheats in registration order */
+  static list() {
+    return [...this.cheats.values()];
+  }
+
+  /**
+   * A cheat's label or hint in the current language — the catalog's
+   * cheat.<id>.<field>, else what the definition says
+   * @param {object} cheat
+   * @param {'label'|'hint'} field
+   */
+  static text(cheat, field) {
+    const key = `cheat.${cheat.id}.${field}`;
+    return i18n.has(key) ? i18n.t(key) : cheat[field];
+  }
+
+  /** @returns {Set<string>} ids unlocked on this device */
+  static unlocked() {
+    try {
+      return new Set(JSON.parse(localStorage.getItem('si-cheats')) || []);
+    } catch (err) {
+      return new Set();
+    }
+  }
+
+  /**
+   * Records a cheat as found
+   * @param {string} id
+   * @returns {boolean} true the first time
+   */
+  static unlock(id) {
+    const unlocked = this.unlocked();
+    if (unlocked.has(id)) return false;
+    unlocked.add(id);
+    localStorage.setItem('si-cheats', JSON.stringify([...unlocked]));
+    this.listeners.forEach(fn => fn());
+    return true;
+  }
+
+  /**
+   * Calls fn() whenever a cheat is registered or unlocked
+   * @param {Function} fn
+   * @returns {() => void} unsubscribe
+   */
+  static onChange(fn) {
+    this.listeners.push(fn);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== fn);
+    };
+  }
+}
+
+/* Built-in cheats */
+CheatRegistry.register({
+  id: 'konami',
+  label: 'Konami Code',
+  hint: 'Thirty lives, one famous sequence',
+  sequences: [
+    { keys: ['ArrowUp','ArrowUp','ArrowDown','ArrowDown','ArrowLeft','ArrowRight','ArrowLeft','ArrowRight','b','a'] },
+    { buttons: ['up','up','down','down','left','right','left','right','b','a'] },
+  ],
+  effect: 'rainbow',
+});
+
+CheatRegistry.register({
+  id: 'ufo',
+  label: 'Close Encounter',
+  hint: 'Name the thing worth 300 points',
+  sequences: [{ word: 'ufo' }, { buttons: ['x', 'y', 'x', 'y'] }],
+  effect: 'mothership',
+});
+
+CheatRegistry.register({
+  id: 'negative',
+  label: 'Negative Zone',
+  hint: 'Turn the world upside down — well, inside out',
+  sequences: [{ word: 'flip' }, { buttons: ['lb', 'rb', 'lb', 'rb'] }],
+  effect: 'invert',
+});
+
+CheatRegistry.register({
+  id: 'amber',
+  label: 'Amber Cabinet',
+  hint: 'The year it all began',
+  sequences: [{ word: '1978' }, { buttons: ['select', 'select', 'start'] }],
+  effect: 'secretTheme',
+});
+
+// Secrets found on an earlier visit are back before anything reads them
+// (ThemeManager needs the secret theme registered to restore it)
+CheatRegistry.list()
+  .filter(cheat => CheatRegistry.unlocked().has(cheat.id))
+  .forEach(cheat => {
+    const effect = CHEAT_EFFECTS[cheat.effect];
+    if (effect.restore) effect.restore();
+  });
+
+class CheatCodes {
+  /**
+   * @param {object} context — handed to every effect
+   * @param {CanvasEngine} context.canvas
+   * @param {ThemeManager} context.themes
+   */
+  constructor(context) {
+    this.context = context;
+    /** Recent input per source, trimmed to the longest sequence */
+    this.recent = { keys: [], buttons: [] };
+    /**
+     * What the last input from each source did: 'match' (finished a
+     * cheat), 'partial' (could be the start of one) or null
+     */
+    this.progress = { keys: null, buttons: null };
+    /** Set while a theme transition runs — effects wait for it */
+    this.transitioning = false;
+    /** Cheats entered mid-transition */
+    this.pending = [];
+
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    const { signal } = this.events;
+
+    document.addEventListener('keydown', (e) => {
+      // Typing in a field isn't cheating, and neither is playing the mini game
+      const target = e.target;
+      if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName || '')) return;
+      if (this._inGame(target)) return;
+      this.input('keys', CheatRegistry.keyToken(e.key));
+    }, { signal });
+
+    this.stopBusWatch = [
+      appBus.on('gamepad:button', ({ button, pressed }) => {
+        if (pressed && !this._inGame(document.activeElement)) this.input('buttons', button);
+      }),
+      // Inline colours set mid-veil would be wiped by the theme swap
+      appBus.on('theme:transition-start', () => { this.transitioning = true; }),
+      appBus.on('theme:transition-end', () => {
+        this.transitioning = false;
+        this.pending.splice(0).forEach(cheat => this._activate(cheat));
+      }),
+    ];
+  }
+
+  destroy() {
+    this.events.abort();
+    this.stopBusWatch.forEach(stop => stop());
+  }
+
+  /**
+   * True when input is going to the mini game — it has the keys and the pad
+   * @param {Element|null} el — the event target or focused element
+   */
+  _inGame(el) {
+    return !!(el && el.closest && el.closest('.gameplay-screen'));
+  }
+
+  /**
+   * Public: feed one input token
+   * @param {'keys'|'buttons'} source
+   * @param {string} token — a key token (see CheatRegistry.keyToken) or a
+   *                         GAMEPAD_BUTTONS name
+   */
+  input(source, token) {
+    const cheats = CheatRegistry.list();
+    const longest = Math.max(0, ...cheats.flatMap(cheat =>
+      cheat.sequences.filter(seq => seq.source === source).map(seq => seq.tokens.length)));
+    const recent = this.recent[source];
+    recent.push(token);
+    if (recent.length > longest) recent.splice(0, recent.length - longest);
+
+    const sequences = cheats.flatMap(cheat => cheat.sequences).filter(seq => seq.source === source);
+    const match = cheats.find(cheat => cheat.sequences.some(seq =>
+      seq.source === source &&
+      seq.tokens.length <= recent.length &&
+      seq.tokens.every((t, i) => t === recent[recent.length - seq.tokens.length + i])));
+    if (!match) {
+      this.progress[source] = sequences.some(seq => this._startsWith(seq.tokens, recent)) ? 'partial' : null;
+      return;
+    }
+
+    this.progress[source] = 'match';
+    recent.length = 0;
+    if (this.transitioning) this.pending.push(match);
+    else this._activate(match);
+  }
+
+  /**
+   * True when the end of recent input is the opening of tokens
+   * @param {string[]} tokens — a sequence
+   * @param {string[]} recent
+   */
+  _startsWith(tokens, recent) {
+    for (let n = Math.min(tokens.length - 1, recent.length); n > 0; n--) {
+      const tail = recent.slice(-n);
+      if (tail.every((t, i) => t === tokens[i])) return true;
+    }
+    return false;
+  }
+
+  _activate(cheat) {
+    CheatRegistry.unlock(cheat.id);
+    CHEAT_EFFECTS[cheat.effect].activate(this.context);
+  }
+}
+
+/**
+ * Footer list of every cheat — hints for the ones still hidden
+ */
+class AchievementsPanel {
+  constructor() {
+    this.toggleBtn = document.getElementById('achievements-toggle');
+    this.panel     = document.getElementById('achievements-panel');
+    if (!this.toggleBtn || !this.panel) return;
+
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    const { signal } = this.events;
+
+    this._render();
+    this.stopSync = CheatRegistry.onChange(() => this._render());
+    this.stopLocaleWatch = appBus.on('locale:change', () => this._render());
+
+    this.toggleBtn.addEventListener('click', () => this.setOpen(this.panel.hidden), { signal });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !this.panel.hidden) {
+        this.setOpen(false);
+        this.toggleBtn.focus();
       }
-    }, 100);
-
-    // Show a message
-    const msg = document.createElement('div');
-    msg.textContent = '🎮 KONAMI CODE ACTIVATED! 👾';
-    msg.style.cssText = `
-      position: fixed;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%,-50%);
-      background: rgba(0,0,0,0.9);
-      color: #00ff00;
-      font-family: 'Press Start 2P', monospace;
-      font-size: clamp(0.6rem, 2vw, 1rem);
-      padding: 24px 40px;
-      z-index: 99999;
-      border: 2px solid #00ff00;
-      box-shadow: 0 0 40px #00ff00;
-      text-align: center;
-      animation: konami-msg 3s ease forwards;
-    `;
-    const ks = document.createElement('style');
-    ks.textContent = `
-      @keyframes konami-msg {
-        0%   { opacity:0; transform:translate(-50%,-50%) scale(0.5); }
-        15%  { opacity:1; transform:translate(-50%,-50%) scale(1.05); }
-        85%  { opacity:1; transform:translate(-50%,-50%) scale(1); }
-        100% { opacity:0; transform:translate(-50%,-50%) scale(0.9); }
+    }, { signal });
+    document.addEventListener('click', (e) => {
+      if (!this.panel.hidden && !this.panel.contains(e.target) && !this.toggleBtn.contains(e.target)) {
+        this.setOpen(false);
       }
-    `;
-    document.head.appendChild(ks);
-    document.body.appendChild(msg);
-    setTimeout(() => { msg.remove(); ks.remove(); }, 3000);
+    }, { signal });
+  }
+
+  destroy() {
+    if (!this.events) return;
+    this.events.abort();
+    this.stopSync();
+    this.stopLocaleWatch();
+    this.setOpen(false);
+  }
+
+  /** @param {boolean} open */
+  setOpen(open) {
+    this.panel.hidden = !open;
+    this.toggleBtn.setAttribute('aria-expanded', String(open));
+  }
+
+  _render() {
+    const cheats   = CheatRegistry.list();
+    const unlocked = CheatRegistry.unlocked();
+    const found    = cheats.filter(cheat => unlocked.has(cheat.id)).length;
+
+    this.toggleBtn.querySelector('.achievements-count').textContent = `${found}/${cheats.length}`;
+
+    const list = document.createElement('ul');
+    list.className = 'achievements-list';
+    cheats.forEach(cheat => {
+      const done = unlocked.has(cheat.id);
+      const item = document.createElement('li');
+      item.className = `achievement${done ? ' unlocked' : ''}`;
+
+      const icon = document.createElement('span');
+      icon.className = 'achievement-icon';
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = done ? '🏆' : '🔒';
+
+      const text = document.createElement('span');
+      text.textContent = done
+        ? CheatRegistry.text(cheat, 'label')
+        : i18n.t('achievements.locked', { hint: CheatRegistry.text(cheat, 'hint') });
+
+      item.append(icon, text);
+      list.appendChild(item);
+    });
+    this.panel.replaceChildren(list);
   }
 }
 
@@ -918,7 +5787,7 @@ function initSmoothScroll() {
       e.preventDefault();
       const offset = 80; // nav height
       const top    = target.getBoundingClientRect().top + window.scrollY - offset;
-      window.scrollTo({ top, behavior: 'smooth' });
+      window.scrollTo({ top, behavior: motionPrefs.reduced ? 'auto' : 'smooth' });
     });
   });
 }
@@ -926,7 +5795,8 @@ function initSmoothScroll() {
 /* ==========================================================================
   HERO TEXT GLITCH EFFECT (Retro theme)
   Periodic random character replacement for the glitch aesthetic.
-  Only runs in retro theme to preserve performance.
+  Only runs in retro theme to preserve performance — the theme comes from
+  the event bus, so other themes don't even keep the interval.
    ========================================================================== */
 
 class GlitchText {
@@ -934,13 +5804,65 @@ class GlitchText {
     this.elements  = document.querySelectorAll('.hero-title-accent');
     this.glitchChars = '!@#$%^&*()_+-=[]{}|;:,.<>?/\\`~';
     this.isGlitching = false;
+    this.timer = null;
+    /** False while the hero is off-screen or the tab is hidden */
+    this.onScreen = true;
+    this.theme = null;
+    /** Per-element tick interval and text of a glitch in progress */
+    this.running = new Map();
+
+    this.stopMotionWatch = motionPrefs.onChange(() => this._applyMotion());
+    this.stopBusWatch = [
+      appBus.on('theme:change', ({ theme }) => {
+        this.theme = theme;
+        this._applyMotion();
+      }, { replay: true }),
+      // Never let scrambled text survive into the next theme
+      appBus.on('theme:transition-start', () => this._stopGlitch()),
+    ];
+    const hero = document.querySelector('.hero');
+    this.releaseLifecycle = lifecycle.watch({
+      element: hero,
+      resume:  () => { this.onScreen = true;  this._applyMotion(); },
+      suspend: () => { this.onScreen = false; this._applyMotion(); },
+    });
+  }
+
+  /**
+   * Keeps the glitch interval running only in the retro theme, while
+   * visible and allowed
+   */
+  _applyMotion() {
+    const allowed = this.theme === 'retro' && motionPrefs.allows('glitch') && this.onScreen;
+    if (allowed && !this.timer) {
+      this.timer = setInterval(() => this._maybeGlitch(), 3500);
+    } else if (!allowed && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  destroy() {
+    this.stopMotionWatch();
+    this.stopBusWatch.forEach(stop => stop());
+    this.releaseLifecycle();
+    clearInterval(this.timer);
+    this.timer = null;
+    this._stopGlitch();
+  }
 
-    setInterval(() => this._maybeGlitch(), 3500);
+  /** Ends any glitch in progress and restores the real text */
+  _stopGlitch() {
+    this.running.forEach(({ interval, original }, el) => {
+      clearInterval(interval);
+      el.textContent = original;
+    });
+    this.running.clear();
+    this.isGlitching = false;
   }
 
   _maybeGlitch() {
-    const theme = document.documentElement.dataset.theme;
-    if (theme !== 'retro' || this.isGlitching) return;
+    if (this.isGlitching) return;
 
     this.elements.forEach(el => {
       const original = el.textContent;
@@ -952,7 +5874,8 @@ class GlitchText {
         if (ticks >= maxTicks) {
           el.textContent = original;
           clearInterval(interval);
-          this.isGlitching = false;
+          this.running.delete(el);
+          this.isGlitching = this.running.size > 0;
           return;
         }
         // Replace random characters with glitch chars
@@ -965,50 +5888,211 @@ class GlitchText {
           .join('');
         ticks++;
       }, 50);
+      this.running.set(el, { interval, original });
+    });
+  }
+}
+
+/* ==========================================================================
+  KIOSK MODE
+  For unattended booth displays: opened with ?kiosk (or ?kiosk=<seconds>
+  to change the idle timeout), the page tours itself once nobody has
+  touched it for a while — scrolling section to section, showing the
+  mini-grid demo full screen and moving to the next theme every lap. Any
+  key, pointer, wheel or gamepad input hands the page straight back.
+   ========================================================================== */
+
+/** Idle time before the tour starts when ?kiosk has no value, in seconds */
+const KIOSK_IDLE_DEFAULT = 60;
+
+/**
+ * One lap of the tour: where to scroll, how long to stay (ms), and
+ * whether to show the mini-grid demo full screen while there
+ */
+const KIOSK_TOUR = [
+  { target: '#home',     dwell: 8000 },
+  { target: '#story',    dwell: 8000 },
+  { target: '#gameplay', dwell: 16000, demo: true },
+  { target: '#aliens',   dwell: 8000 },
+  { target: '#legacy',   dwell: 8000 },
+];
+
+/** Radius of the burn-in drift walked by the hero art, in px */
+const KIOSK_DRIFT_RADIUS = 8;
+
+class KioskMode {
+  /**
+   * @param {{ themes: ThemeManager, ui: UIBuilder, parallax: HeroParallax }} context
+   */
+  constructor({ themes, ui, parallax }) {
+    const param = new URLSearchParams(window.location.search).get('kiosk');
+    if (param === null) return;
+
+    this.themes   = themes;
+    this.ui       = ui;
+    this.parallax = parallax;
+
+    const seconds = parseFloat(param);
+    /** Idle time before the tour starts, in ms */
+    this.timeout = (seconds > 0 ? seconds : KIOSK_IDLE_DEFAULT) * 1000;
+
+    this.active     = false;
+    this.lastInput  = performance.now();
+    this.idleTimer  = null;
+    this.stepTimer  = null;
+    /** Index into KIOSK_TOUR of the stop on screen */
+    this.stop       = -1;
+    /** Steps taken this tour — drives the burn-in drift around its circle */
+    this.steps      = 0;
+    /** Theme mode the visitor left the page in, restored on exit */
+    this.savedMode  = null;
+    /** Last pointer position seen, in screen px */
+    this.lastPointer = null;
+    this.demoEl = document.querySelector('.gameplay-screen');
+
+    /** Aborted by destroy() to drop every listener at once */
+    this.events = new AbortController();
+    const opts = { capture: true, passive: true, signal: this.events.signal };
+    ['keydown', 'pointerdown', 'wheel', 'touchstart'].forEach(type => {
+      window.addEventListener(type, () => this._onInput(), opts);
     });
+    // Browsers fire mousemove when content scrolls under a still cursor —
+    // only a real change of position counts as somebody being there
+    window.addEventListener('pointermove', (e) => {
+      const moved = !this.lastPointer ||
+        this.lastPointer.x !== e.screenX || this.lastPointer.y !== e.screenY;
+      this.lastPointer = { x: e.screenX, y: e.screenY };
+      if (moved) this._onInput();
+    }, opts);
+    this.stopGamepadWatch = appBus.on('gamepad:button', () => this._onInput());
+
+    this._scheduleIdle(this.timeout);
+  }
+
+  _onInput() {
+    this.lastInput = performance.now();
+    if (this.active) this.exit();
+  }
+
+  /** Checks back once the idle timeout could have run out */
+  _scheduleIdle(delay) {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      const idle = performance.now() - this.lastInput;
+      if (idle >= this.timeout) this.enter();
+      else this._scheduleIdle(this.timeout - idle);
+    }, delay);
+  }
+
+  /** Public: starts the tour now */
+  enter() {
+    if (!this.events || this.active) return;
+    this.active    = true;
+    this.savedMode = this.themes.mode;
+    this.stop      = -1;
+    this.steps     = 0;
+    clearTimeout(this.idleTimer);
+    document.documentElement.classList.add('kiosk-active');
+    // Nobody has touched the page for a while — a half-played game is abandoned
+    if (this.ui) this.ui.showDemo();
+    this._step();
+  }
+
+  /** Public: ends the tour and hands the page back as the visitor left it */
+  exit() {
+    if (!this.active) return;
+    this.active = false;
+    clearTimeout(this.stepTimer);
+    this._showDemo(false);
+    document.documentElement.classList.remove('kiosk-active');
+    if (this.parallax) this.parallax.setDrift(0, 0);
+    if (this.themes.mode !== this.savedMode) this.themes.preview(this.savedMode);
+    this._scheduleIdle(this.timeout);
+  }
+
+  /** Moves to the next stop; wrapping round starts a lap in the next theme */
+  _step() {
+    this.stop = (this.stop + 1) % KIOSK_TOUR.length;
+    if (this.stop === 0 && this.steps > 0) this._nextTheme();
+    const stop = KIOSK_TOUR[this.stop];
+
+    this._showDemo(!!stop.demo);
+    const el = document.querySelector(stop.target);
+    if (el) {
+      const offset = this.stop === 0 ? 0 : 80; // nav height
+      window.scrollTo({
+        top: el.getBoundingClientRect().top + window.scrollY - offset,
+        behavior: motionPrefs.reduced ? 'auto' : 'smooth',
+      });
+    }
+
+    // Walk the hero art slowly round a small circle
+    const angle = (this.steps++ / 12) * Math.PI * 2;
+    if (this.parallax) {
+      this.parallax.setDrift(Math.cos(angle) * KIOSK_DRIFT_RADIUS, Math.sin(angle) * KIOSK_DRIFT_RADIUS);
+    }
+
+    this.stepTimer = setTimeout(() => this._step(), stop.dwell);
+  }
+
+  _nextTheme() {
+    const ids = ThemeRegistry.list().map(theme => theme.id);
+    const next = ids[(ids.indexOf(this.themes.currentTheme) + 1) % ids.length];
+    this.themes.preview(next);
+  }
+
+  /** @param {boolean} on — the gameplay screen fills the viewport */
+  _showDemo(on) {
+    if (this.demoEl) this.demoEl.classList.toggle('is-kiosk-demo', on);
+  }
+
+  destroy() {
+    if (!this.events) return;
+    this.exit();
+    this.events.abort();
+    this.stopGamepadWatch();
+    clearTimeout(this.idleTimer);
   }
 }
 
 /* ==========================================================================
   INITIALIZATION
   All modules instantiated after DOM is fully loaded.
-  Order matters: ThemeManager → CanvasEngine → UI modules
+  Modules find each other through appBus, not globals or start-up order.
    ========================================================================== */
 
 document.addEventListener('DOMContentLoaded', () => {
-  // Core
+  // Core — modules talk through appBus, so construction order is free
   const themeManager = new ThemeManager();
   const canvasEngine = new CanvasEngine('bg-canvas');
-
-  // Ensure ThemeManager can notify CanvasEngine after both are created
-  themeManager._applyTheme(themeManager.currentTheme, false);
+  new PerfOverlay(canvasEngine);
+  new MotionPanel();
+  new SoundControls();
+  new LanguageSwitcher();
 
   // UI & Interaction
-  new UIBuilder();
+  const ui = new UIBuilder();
+  new LeaderboardPanel();
   new ScrollReveal();
   new StatCounter();
   new MobileMenu();
   new NavScroll();
-  new HeroParallax();
+  const parallax = new HeroParallax();
   new ButtonRipple();
-  new KonamiCode();
+  const cheats = new CheatCodes({ canvas: canvasEngine, themes: themeManager });
+  new GamepadNavigation(themeManager, cheats);
+  new AchievementsPanel();
   new GlitchText();
+  new KioskMode({ themes: themeManager, ui, parallax });
 
   initSmoothScroll();
 
-  // Wire up ThemeManager → CanvasEngine for subsequent switches
-  // (already registered via window.__canvasEngine)
-  window.__canvasEngine = canvasEngine;
-
-  // Ensure initial canvas theme matches html data-theme
-  canvasEngine.setTheme(themeManager.currentTheme);
-
   // Log build info for developer inspection
   console.log(
     '%c🚀 Space Invaders Landing Page%c\n' +
-    'Theme: ' + themeManager.currentTheme + '\n' +
-    'Canvas: Active\n' +
-    'Try the Konami Code: ↑↑↓↓←→←→BA',
+    i18n.t('console.theme', { theme: themeManager.currentTheme }) + '\n' +
+    i18n.t('console.canvas') + '\n' +
+    i18n.t('console.cheats'),
     'color: #00ff00; font-family: monospace; font-weight: bold; font-size: 14px;',
     'color: #00cc00; font-family: monospace; font-size: 11px;'
   );